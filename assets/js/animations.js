@@ -1,11 +1,82 @@
 // Page-level animations using Anime.js
+import anime from './anime.js';
+import { bus } from './event-bus.js';
+import { scheduler } from './scheduler.js';
+
+// Particles alive at once; the oldest goes when another would exceed it
+const MAX_PARTICLES = 24;
+
 export class PageAnimations {
     constructor() {
+        // Loops and repeating jobs bound to the current page's elements, run by the scheduler
+        // only while the tab is visible and their elements are on screen
+        this.tasks = new Set();
+        this.particles = new Set();
+        this.terminalBg = null;
+        this.motionLevel = 'full';
+
+        // Everything here is decoration, so it only runs at the full motion level
+        this.subscriptions = new AbortController();
+        bus.on('motion:preference-change', ({ level }) => this.setMotionLevel(level), {
+            signal: this.subscriptions.signal,
+            replay: true
+        });
+    }
+
+    setMotionLevel(level) {
+        this.motionLevel = level;
+        const full = level === 'full';
+        this.tasks.forEach(task => task.setEnabled(full));
+        if (!full) {
+            this.clearParticles();
+        }
+    }
+
+    // One-off reveal of an element; below full it keeps its resting CSS state
+    entrance(params) {
+        return this.motionLevel === 'full' ? anime(params) : null;
+    }
+
+    // Endless animation, paused whenever the motion level drops or its targets are out of sight
+    loop(params) {
+        const animation = anime({ ...params, autoplay: false });
+        if (animation.animatables.length > 0) {
+            this.schedule(scheduler.animation(null, animation, { enabled: this.motionLevel === 'full' }));
+        }
+        return animation;
+    }
+
+    // Repeating job on the page's elements, under the same conditions as the loops
+    every(elements, delay, callback) {
+        return this.schedule(scheduler.every(elements, delay, callback, { enabled: this.motionLevel === 'full' }));
+    }
+
+    schedule(task) {
+        this.tasks.add(task);
+        return task;
+    }
+
+    // Run the animations for the current page; called for the first page and after each route change
+    animatePage() {
+        this.releasePage();
         this.initializeAnimations();
         this.setupBackgroundEffects();
         this.initializeEyeAnimations();
     }
 
+    // Stop everything still animating elements of the outgoing page
+    releasePage() {
+        this.tasks.forEach(task => task.cancel());
+        this.tasks.clear();
+        this.clearParticles();
+        this.terminalBg = null;
+    }
+
+    destroy() {
+        this.subscriptions.abort();
+        this.releasePage();
+    }
+
     initializeAnimations() {
         // Initial page load animation sequence
         this.animateHeroTitle();
@@ -20,7 +91,7 @@ export class PageAnimations {
         if (!title) return;
 
         // Create glitch effect for the title
-        anime({
+        this.entrance({
             targets: title,
             opacity: [0, 1],
             translateY: [-20, 0],
@@ -34,6 +105,7 @@ export class PageAnimations {
 
         // Add enhanced hover effect for title
         title.addEventListener('mouseenter', () => {
+            if (this.motionLevel !== 'full') return;
             anime({
                 targets: title,
                 scale: 1.03,
@@ -62,6 +134,7 @@ export class PageAnimations {
         // Add hover effect to menu items
         document.querySelectorAll('.menu-items li a').forEach(item => {
             item.addEventListener('mouseenter', () => {
+                if (this.motionLevel !== 'full') return;
                 anime({
                     targets: item,
                     translateX: 10,
@@ -93,7 +166,7 @@ export class PageAnimations {
 
     animateAccentLines() {
         // Animate accent lines with glow effect
-        anime({
+        this.entrance({
             targets: ['.accent-line-1', '.accent-line-2'],
             scaleX: [0, 1],
             opacity: [0, 0.3],
@@ -109,7 +182,7 @@ export class PageAnimations {
         });
 
         // Add subtle pulse animation
-        anime({
+        this.loop({
             targets: ['.accent-line-1', '.accent-line-2'],
             opacity: [0.3, 0.1],
             duration: 2000,
@@ -124,7 +197,7 @@ export class PageAnimations {
         if (!gridBg) return;
 
         // Create matrix-like grid effect
-        anime({
+        this.entrance({
             targets: gridBg,
             opacity: [0, 0.15],
             duration: 2000,
@@ -132,7 +205,7 @@ export class PageAnimations {
         });
 
         // Add subtle scale animation
-        anime({
+        this.loop({
             targets: gridBg,
             scale: [1, 1.1],
             duration: 10000,
@@ -146,14 +219,20 @@ export class PageAnimations {
         // Create floating particles in terminal background
         const terminalBg = document.querySelector('.terminal-bg');
         if (!terminalBg) return;
+        this.terminalBg = terminalBg;
 
         const createParticle = () => {
+            if (this.particles.size >= MAX_PARTICLES) {
+                this.removeParticle(this.particles.values().next().value);
+            }
+
             const particle = document.createElement('div');
             particle.className = 'terminal-particle';
             particle.style.left = Math.random() * 100 + '%';
             particle.style.top = '100%';
             particle.style.opacity = '0';
             terminalBg.appendChild(particle);
+            this.particles.add(particle);
 
             anime({
                 targets: particle,
@@ -170,14 +249,23 @@ export class PageAnimations {
                     easing: 'easeInOutQuad'
                 },
                 duration: 4000,
-                complete: () => {
-                    particle.remove();
-                }
+                complete: () => this.removeParticle(particle)
             });
         };
 
         // Create particles periodically
-        setInterval(createParticle, 300);
+        this.every(terminalBg, 300, createParticle);
+    }
+
+    removeParticle(particle) {
+        anime.remove(particle);
+        particle.remove();
+        this.particles.delete(particle);
+    }
+
+    // Drop the particles still floating up the background
+    clearParticles() {
+        this.particles.forEach(particle => this.removeParticle(particle));
     }
 
     animateTerminal() {
@@ -185,7 +273,7 @@ export class PageAnimations {
         if (!terminal) return;
 
         // Animate terminal container with matrix-like reveal
-        anime({
+        this.entrance({
             targets: terminal,
             opacity: [0, 1],
             translateY: [20, 0],
@@ -200,6 +288,7 @@ export class PageAnimations {
         // Add hover effect to menu items
         document.querySelectorAll('.menu-items li').forEach(item => {
             item.addEventListener('mouseenter', () => {
+                if (this.motionLevel !== 'full') return;
                 anime({
                     targets: item,
                     translateX: 10,
@@ -219,7 +308,7 @@ export class PageAnimations {
         });
 
         // Animate menu items with stagger
-        anime({
+        this.entrance({
             targets: '.menu-items li',
             opacity: [0, 1],
             translateX: [-20, 0],
@@ -240,7 +329,7 @@ export class PageAnimations {
         if (!indicator) return;
 
         // Fade in scroll indicator
-        anime({
+        this.entrance({
             targets: indicator,
             opacity: [0, 1],
             translateY: [20, 0],
@@ -254,7 +343,7 @@ export class PageAnimations {
         });
 
         // Continuous scroll line animation with glow effect
-        anime({
+        this.loop({
             targets: '.scroll-line',
             scaleY: [0, 1],
             translateY: [0, 10],
@@ -275,8 +364,8 @@ export class PageAnimations {
         if (!eyes.length) return;
 
         // Add constant subtle pulse animation to eyes
-        anime({
-            targets: '.eye',
+        this.loop({
+            targets: eyes,
             scale: [1, 1.05],
             boxShadow: [
                 '0 0 15px rgba(255, 0, 255, 0.5)',
@@ -297,6 +386,7 @@ export class PageAnimations {
         // Add interactive hover effects
         eyes.forEach(eye => {
             eye.addEventListener('mouseenter', () => {
+                if (this.motionLevel !== 'full') return;
                 anime({
                     targets: eye,
                     scale: 1.2,
@@ -344,7 +434,7 @@ export class PageAnimations {
             });
 
             // Add random "blink" effect
-            setInterval(() => {
+            this.every(eye, 3000, () => {
                 if (Math.random() < 0.3) { // 30% chance to blink
                     anime({
                         targets: eye,
@@ -358,12 +448,12 @@ export class PageAnimations {
                         }
                     });
                 }
-            }, 3000);
+            });
 
             // Animate pupil movement
             const pupil = eye.querySelector('.pupil');
             if (pupil) {
-                anime({
+                this.loop({
                     targets: pupil,
                     translateX: [-15, 15],
                     duration: 3000,
@@ -445,7 +535,4 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
-// Initialize animations when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new PageAnimations();
-}); 
\ No newline at end of file
+export default PageAnimations;
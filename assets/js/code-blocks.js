@@ -0,0 +1,273 @@
+// Code samples: offline syntax highlighting, line numbers and copy-to-clipboard
+// The highlighter is a small rule-based tokenizer, no DOM, so it also runs in Node
+
+const keywords = (list, flags = '') => new RegExp(`\\b(?:${list.join('|')})\\b`, `y${flags}`);
+
+// Rules are tried in order at each position; the first match wins. Anything no rule
+// matches is emitted as plain text, one character at a time.
+const PYTHON = [
+    ['comment', /#.*/y],
+    ['string', /(?:[rbuf]|rb|br|fr|rf)?(?:"""[\s\S]*?"""|'''[\s\S]*?''')/yi],
+    ['string', /(?:[rbuf]|rb|br|fr|rf)?(?:"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')/yi],
+    ['decorator', /@[A-Za-z_][\w.]*/y],
+    ['keyword', keywords([
+        'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else',
+        'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not',
+        'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield', 'True', 'False', 'None'
+    ])],
+    ['builtin', keywords([
+        'self', 'cls', 'print', 'len', 'range', 'str', 'int', 'float', 'bool', 'list', 'dict', 'set', 'tuple',
+        'bytes', 'open', 'chr', 'ord', 'zip', 'map', 'filter', 'enumerate', 'isinstance', 'super', 'type', 'input'
+    ])],
+    ['number', /\b(?:0x[\da-f]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?j?)\b/yi],
+    ['function', /[A-Za-z_]\w*(?=\s*\()/y],
+    ['plain', /[A-Za-z_]\w*/y]
+];
+
+const BASH = [
+    ['comment', /#.*/y],
+    ['string', /'[^']*'/y],
+    ['string', /"(?:\\[\s\S]|[^"\\])*"/y],
+    ['variable', /\$(?:\{[^}\n]*\}|\w+|[@*#?$!-])/y],
+    ['keyword', keywords([
+        'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done', 'case', 'esac', 'in',
+        'function', 'select', 'return', 'exit', 'local', 'export'
+    ])],
+    ['builtin', keywords([
+        'echo', 'cd', 'pwd', 'ls', 'cat', 'grep', 'sed', 'awk', 'git', 'pip', 'pip3', 'python', 'python3',
+        'npm', 'node', 'sudo', 'chmod', 'chown', 'mkdir', 'rm', 'cp', 'mv', 'curl', 'wget', 'source', 'apt'
+    ])],
+    ['parameter', /--?[A-Za-z][\w-]*/y],
+    ['number', /\b\d+\b/y],
+    ['operator', /&&|\|\||[|&;<>]/y],
+    // Words run to the next separator, so a # inside one is not a comment
+    ['plain', /[^\s"'$;|&<>()`]+/y]
+];
+
+const POWERSHELL = [
+    ['comment', /<#[\s\S]*?#>/y],
+    ['comment', /#.*/y],
+    ['string', /@"[\s\S]*?\n"@|@'[\s\S]*?\n'@/y],
+    ['string', /"(?:`[\s\S]|[^"`])*"/y],
+    ['string', /'(?:''|[^'])*'/y],
+    ['variable', /\$(?:\{[^}\n]*\}|[\w:]+|[$?^_])/y],
+    ['type', /\[[\w.]+(?:\[\])?\]/y],
+    ['operator', /-(?:eq|ne|gt|ge|lt|le|(?:not)?like|(?:not)?match|(?:not)?contains|(?:not)?in|and|or|not|xor|replace|split|join|isnot|is|as|f)\b/yi],
+    ['parameter', /-[A-Za-z][\w]*/y],
+    // Cmdlets follow the Verb-Noun convention; before keywords so ForEach-Object stays whole
+    ['function', /[A-Za-z]+-[A-Za-z]+\b/y],
+    ['keyword', keywords([
+        'begin', 'break', 'catch', 'class', 'continue', 'do', 'else', 'elseif', 'end', 'exit', 'filter',
+        'finally', 'for', 'foreach', 'function', 'if', 'param', 'process', 'return', 'switch', 'throw',
+        'trap', 'try', 'until', 'using', 'while'
+    ], 'i')],
+    ['number', /\b\d+(?:\.\d+)?(?:kb|mb|gb)?\b/yi],
+    ['plain', /[A-Za-z_]\w*/y]
+];
+
+const GRAMMARS = {
+    python: PYTHON,
+    bash: BASH,
+    powershell: POWERSHELL
+};
+
+const LANGUAGE_ALIASES = {
+    py: 'python',
+    sh: 'bash',
+    shell: 'bash',
+    zsh: 'bash',
+    console: 'bash',
+    ps1: 'powershell',
+    pwsh: 'powershell',
+    ps: 'powershell'
+};
+
+export const SUPPORTED_LANGUAGES = Object.freeze(Object.keys(GRAMMARS));
+
+export function resolveLanguage(language = '') {
+    const name = String(language).toLowerCase();
+    return GRAMMARS[name] ? name : LANGUAGE_ALIASES[name] || null;
+}
+
+/**
+ * Split source code into highlighted tokens
+ * @param {string} code
+ * @param {string} language - A supported language or alias; anything else yields one plain token
+ * @returns {Array<{type: string, text: string}>} Adjacent plain text is merged
+ */
+export function highlight(code, language) {
+    const grammar = GRAMMARS[resolveLanguage(language)];
+    if (!grammar) return code ? [{ type: 'plain', text: code }] : [];
+
+    const tokens = [];
+    const push = (type, text) => {
+        const last = tokens[tokens.length - 1];
+        if (type === 'plain' && last?.type === 'plain') {
+            last.text += text;
+        } else {
+            tokens.push({ type, text });
+        }
+    };
+
+    let position = 0;
+    while (position < code.length) {
+        let matched = false;
+        for (const [type, pattern] of grammar) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(code);
+            if (match && match[0]) {
+                push(type, match[0]);
+                position += match[0].length;
+                matched = true;
+                break;
+            }
+        }
+        if (!matched) {
+            push('plain', code[position]);
+            position++;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Group tokens into lines, splitting tokens that span several (block strings, comments)
+ * @param {Array<{type: string, text: string}>} tokens
+ * @returns {Array<Array<{type: string, text: string}>>}
+ */
+export function splitLines(tokens) {
+    const lines = [[]];
+    tokens.forEach(({ type, text }) => {
+        text.split('\n').forEach((part, index) => {
+            if (index > 0) lines.push([]);
+            if (part) lines[lines.length - 1].push({ type, text: part });
+        });
+    });
+    return lines;
+}
+
+/**
+ * Copy text with the Clipboard API, falling back to execCommand where it is
+ * missing or refused (insecure origins, older browsers)
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export async function copyText(text) {
+    if (navigator.clipboard?.writeText && window.isSecureContext) {
+        try {
+            await navigator.clipboard.writeText(text);
+            return;
+        } catch (error) {
+            console.warn('Clipboard API failed, using fallback:', error);
+        }
+    }
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.className = 'clipboard-buffer';
+    const previousFocus = document.activeElement;
+    document.body.appendChild(textarea);
+    textarea.select();
+    try {
+        if (!document.execCommand('copy')) {
+            throw new Error('Copy command was rejected');
+        }
+    } finally {
+        textarea.remove();
+        previousFocus?.focus?.();
+    }
+}
+
+// How long the copy button shows its result
+const FEEDBACK_DURATION = 2000;
+
+export class CodeBlocks {
+    constructor() {
+        this.feedbackTimers = new WeakMap();
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    // Copy buttons are handled by delegation so cards rendered later work too
+    init(root = document) {
+        document.addEventListener('click', this.handleClick);
+        this.enhance(root);
+        return this;
+    }
+
+    /**
+     * Highlight and number the lines of every code sample under root
+     * @param {ParentNode} root
+     */
+    enhance(root = document) {
+        root.querySelectorAll('.code-sample pre > code').forEach(code => this.enhanceBlock(code));
+    }
+
+    enhanceBlock(code) {
+        if (code.dataset.enhanced) return;
+        code.dataset.enhanced = 'true';
+
+        const language = /\blanguage-(\S+)/.exec(code.className)?.[1];
+        const source = code.textContent.replace(/\n$/, '');
+        const lines = splitLines(highlight(source, language)).map(tokens => {
+            const line = document.createElement('span');
+            line.className = 'code-line';
+            tokens.forEach(({ type, text }) => {
+                if (type === 'plain') {
+                    line.append(text);
+                } else {
+                    const token = document.createElement('span');
+                    token.className = `token ${type}`;
+                    token.textContent = text;
+                    line.append(token);
+                }
+            });
+            return line;
+        });
+
+        // Newlines between the line spans keep textContent identical to the source
+        code.replaceChildren(...lines.flatMap((line, index) => (index > 0 ? ['\n', line] : [line])));
+        code.closest('.code-sample')?.classList.add('line-numbers');
+    }
+
+    async handleClick(e) {
+        const button = e.target.closest?.('.copy-btn');
+        if (!button) return;
+
+        const code = button.closest('.code-sample')?.querySelector('pre code');
+        if (!code) return;
+
+        try {
+            await copyText(code.textContent);
+            this.showFeedback(button, 'Copied', 'copied');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.showFeedback(button, 'Copy failed', 'copy-failed');
+        }
+    }
+
+    showFeedback(button, message, state) {
+        let feedback = button.querySelector('.copy-feedback');
+        if (!feedback) {
+            feedback = document.createElement('span');
+            feedback.className = 'copy-feedback';
+            feedback.setAttribute('role', 'status');
+            button.append(feedback);
+        }
+        feedback.textContent = message;
+        button.classList.remove('copied', 'copy-failed');
+        button.classList.add(state);
+
+        clearTimeout(this.feedbackTimers.get(button));
+        this.feedbackTimers.set(button, setTimeout(() => {
+            button.classList.remove(state);
+            feedback.textContent = '';
+        }, FEEDBACK_DURATION));
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleClick);
+    }
+}
+
+export default CodeBlocks;
@@ -0,0 +1,126 @@
+// Persistent terminal command history with bash-style expansion and search
+
+export class CommandHistory {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - localStorage key
+     * @param {number} [options.limit] - Maximum number of entries kept
+     */
+    constructor({ storageKey = 'terminal-history', limit = 200 } = {}) {
+        this.storageKey = storageKey;
+        this.limit = limit;
+        // Oldest first, so entry n (1-based) is entries[n - 1]
+        this.entries = this.load();
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    // Record a command, dropping earlier duplicates and trimming to the size cap
+    add(command) {
+        const entry = command.trim();
+        if (!entry) return;
+
+        this.entries = this.entries.filter(existing => existing !== entry);
+        this.entries.push(entry);
+        if (this.entries.length > this.limit) {
+            this.entries = this.entries.slice(-this.limit);
+        }
+        this.save();
+    }
+
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    // Entry by 1-based history number, negative numbers count back from the newest
+    get(number) {
+        const index = number < 0 ? this.entries.length + number : number - 1;
+        return this.entries[index] ?? null;
+    }
+
+    // Entry by offset from the newest (0 = most recent), used for arrow key navigation
+    fromEnd(offset) {
+        return this.entries[this.entries.length - 1 - offset] ?? null;
+    }
+
+    /**
+     * Find the newest entry containing query, searching backwards from an offset
+     * @returns {{offset: number, entry: string}|null}
+     */
+    search(query, startOffset = 0) {
+        for (let offset = startOffset; offset < this.entries.length; offset++) {
+            const entry = this.fromEnd(offset);
+            if (entry.includes(query)) {
+                return { offset, entry };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Expand `!!`, `!n` and `!-n` event designators outside single quotes
+     * @param {string} input - Raw command line
+     * @returns {{line: string, expanded: boolean}}
+     * @throws {Error} When an event designator does not match any entry
+     */
+    expand(input) {
+        let line = '';
+        let expanded = false;
+        let inSingleQuote = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (char === "'" && input[i - 1] !== '\\') {
+                inSingleQuote = !inSingleQuote;
+            }
+
+            if (char !== '!' || inSingleQuote || input[i - 1] === '\\') {
+                line += char;
+                continue;
+            }
+
+            const designator = input.slice(i + 1).match(/^(!|-?\d+)/);
+            if (!designator) {
+                line += char;
+                continue;
+            }
+
+            const event = designator[1] === '!' ? this.get(-1) : this.get(Number(designator[1]));
+            if (event === null) {
+                throw new Error(`!${designator[1]}: event not found`);
+            }
+
+            line += event;
+            expanded = true;
+            i += designator[1].length;
+        }
+
+        return { line, expanded };
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+            return Array.isArray(stored)
+                ? stored.filter(entry => typeof entry === 'string').slice(-this.limit)
+                : [];
+        } catch (error) {
+            console.warn('Failed to restore command history:', error);
+            return [];
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Failed to persist command history:', error);
+        }
+    }
+}
+
+export default CommandHistory;
@@ -0,0 +1,138 @@
+// Command Registry for the interactive terminal
+
+export class CommandRegistry {
+    constructor() {
+        // Canonical command specs keyed by name
+        this.commands = new Map();
+        // Alias -> canonical name lookup
+        this.aliases = new Map();
+    }
+
+    /**
+     * Register a terminal command
+     * @param {Object} spec - Command specification
+     * @param {string} spec.name - Canonical command name
+     * @param {string[]} [spec.aliases] - Alternative names resolving to the same command
+     * @param {string} [spec.description] - One-line summary shown by `help`
+     * @param {string} [spec.usage] - Usage string shown by `help <command>` and on misuse
+     * @param {Function} spec.run - Handler invoked with `{argv, flags, stdin, stdout, stderr}` and the
+     *     terminal; may return (or resolve to) a numeric exit status, otherwise writing to stderr means failure
+     * @param {Function} [spec.complete] - Argument completer `(word, {argv}, terminal) => string[]`
+     * @param {boolean} [spec.hidden] - Exclude from `help` listings and completion
+     * @returns {Function} Unregister function
+     */
+    register(spec) {
+        if (!spec || typeof spec.name !== 'string' || !spec.name.trim()) {
+            throw new Error('Command registration requires a name');
+        }
+        if (typeof spec.run !== 'function') {
+            throw new Error(`Command "${spec.name}" requires a run function`);
+        }
+
+        const name = spec.name.trim().toLowerCase();
+        const command = Object.freeze({
+            name,
+            aliases: Object.freeze((spec.aliases || []).map(alias => alias.toLowerCase())),
+            description: spec.description || '',
+            usage: spec.usage || name,
+            hidden: !!spec.hidden,
+            complete: typeof spec.complete === 'function' ? spec.complete : null,
+            run: spec.run
+        });
+
+        if (this.commands.has(name)) {
+            console.warn(`Command "${name}" is already registered, replacing it`);
+            this.unregister(name);
+        }
+
+        command.aliases.forEach(alias => {
+            if (this.commands.has(alias) || this.aliases.has(alias)) {
+                console.warn(`Alias "${alias}" for "${name}" shadows an existing command`);
+            }
+            this.aliases.set(alias, name);
+        });
+
+        this.commands.set(name, command);
+        return () => this.unregister(name);
+    }
+
+    unregister(name) {
+        const command = this.commands.get(name);
+        if (!command) return false;
+
+        command.aliases.forEach(alias => {
+            if (this.aliases.get(alias) === name) {
+                this.aliases.delete(alias);
+            }
+        });
+        return this.commands.delete(name);
+    }
+
+    // Resolve a command by name or alias
+    get(name) {
+        if (!name) return null;
+        const key = name.toLowerCase();
+        return this.commands.get(key) || this.commands.get(this.aliases.get(key)) || null;
+    }
+
+    has(name) {
+        return this.get(name) !== null;
+    }
+
+    // Visible commands sorted by name
+    list() {
+        return Array.from(this.commands.values())
+            .filter(command => !command.hidden)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // All invocable names (commands and aliases) starting with prefix
+    complete(prefix = '') {
+        const lowerPrefix = prefix.toLowerCase();
+        const names = [];
+        this.list().forEach(command => {
+            [command.name, ...command.aliases].forEach(name => {
+                if (name.startsWith(lowerPrefix)) {
+                    names.push(name);
+                }
+            });
+        });
+        return names.sort();
+    }
+
+    // Suggest registered names close to an unknown one
+    suggest(name, limit = 3) {
+        const target = (name || '').toLowerCase();
+        if (!target) return [];
+
+        return this.list()
+            .flatMap(command => [command.name, ...command.aliases])
+            .map(candidate => ({ candidate, distance: editDistance(target, candidate) }))
+            .filter(({ candidate, distance }) =>
+                distance <= (candidate.length > 3 ? 2 : 1) || candidate.startsWith(target))
+            .sort((a, b) => a.distance - b.distance || a.candidate.localeCompare(b.candidate))
+            .slice(0, limit)
+            .map(({ candidate }) => candidate);
+    }
+}
+
+// Levenshtein distance for "did you mean" suggestions
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+    return previous[b.length];
+}
+
+export default CommandRegistry;
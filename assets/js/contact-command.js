@@ -0,0 +1,103 @@
+// `contact` terminal command: compose and send a message without leaving the shell
+// Uses the same validation, spam guards and submission as #contact-form
+import { CONTACT_LIMITS, normalizeContact, validateContact } from './contact-validation.js';
+import { submitContact } from './contact-form.js';
+import { bus } from './event-bus.js';
+
+const SUBJECT_MAX_LENGTH = 150;
+
+// A line containing only this ends the message body, as in mail(1)
+const BODY_TERMINATOR = '.';
+
+// Validate a single field, ignoring errors for the ones not asked yet
+function fieldCheck(field) {
+    return value => validateContact({ [field]: value })[field] || null;
+}
+
+function subjectCheck(value) {
+    return value.length > SUBJECT_MAX_LENGTH ? `Subject must be at most ${SUBJECT_MAX_LENGTH} characters` : null;
+}
+
+async function readBody(terminal, stdout, stderr) {
+    stdout.write(`Message (end with a line containing only "${BODY_TERMINATOR}"):`);
+    for (;;) {
+        const lines = [];
+        for (;;) {
+            const line = await terminal.readLine();
+            if (line.trim() === BODY_TERMINATOR) break;
+            lines.push(line);
+        }
+        const body = lines.join('\n').trim();
+        const error = fieldCheck('message')(body);
+        if (!error) return body;
+        stderr.write(`${error}, please write it again:`);
+    }
+}
+
+// Fold the subject into the message so the endpoint contract stays name/email/message
+function composeMessage(subject, body) {
+    return subject ? `Subject: ${subject}\n\n${body}` : body;
+}
+
+function showPreview(stdout, { name, email, subject, body }) {
+    stdout.write('');
+    stdout.write(`From:    ${name} <${email}>`);
+    stdout.write(`Subject: ${subject || '(none)'}`);
+    stdout.write('');
+    stdout.write(body);
+    stdout.write('');
+}
+
+async function composeAndSend({ flags, stdout, stderr }, terminal) {
+    if (flags.page || flags.p) {
+        terminal.navigateTo('/contact.html');
+        return 0;
+    }
+
+    const startedAt = Date.now();
+    stdout.write('Compose a message (Ctrl+C to cancel)');
+
+    const name = await terminal.prompt('Name:', { validate: fieldCheck('name') });
+    const email = await terminal.prompt('Email:', { validate: fieldCheck('email') });
+    const subject = await terminal.prompt('Subject (optional):', { validate: subjectCheck });
+    const body = await readBody(terminal, stdout, stderr);
+
+    showPreview(stdout, { name, email, subject, body });
+    if (!await terminal.confirm('Send this message?')) {
+        stdout.write('Message discarded.');
+        return 1;
+    }
+
+    const data = normalizeContact({ name, email, message: composeMessage(subject, body) });
+    if (data.message.length > CONTACT_LIMITS.message.max) {
+        stderr.write(`contact: message must be at most ${CONTACT_LIMITS.message.max} characters including the subject`);
+        return 1;
+    }
+
+    let result;
+    try {
+        result = await submitContact(data, {
+            startedAt,
+            onProgress: stage => stdout.write(stage === 'verifying' ? 'Verifying...' : 'Sending...'),
+            onRetry: attempt => stdout.write(`Connection problem, retrying (${attempt})...`)
+        });
+    } catch (error) {
+        stderr.write(`contact: ${error.message}`);
+        Object.entries(error.fieldErrors || {}).forEach(([field, message]) => stderr.write(`  ${field}: ${message}`));
+        return 1;
+    }
+
+    bus.emit('contact:sent', { source: 'terminal', result });
+    stdout.write('Message sent. Thanks for reaching out!');
+    return 0;
+}
+
+export const contactCommand = Object.freeze({
+    name: 'contact',
+    aliases: ['mail'],
+    usage: 'contact [--page]',
+    description: 'Send me a message from the terminal (--page opens the contact page)',
+    run: composeAndSend
+});
+
+export default contactCommand;
@@ -0,0 +1,166 @@
+// Autosaves the contact form to localStorage so a visitor who navigates away
+// finds their message waiting when they come back
+import { debounce } from './utils.js';
+import { bus } from './event-bus.js';
+import { CONTACT_GUARD } from './contact-guard.js';
+
+const DRAFT_FIELDS = ['name', 'email', 'message'];
+
+// Drafts older than this are dropped rather than restored
+const MAX_DRAFT_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function describeAge(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    const days = Math.round(hours / 24);
+    return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+export class ContactDraft {
+    constructor(form, { storageKey = 'contact-draft', delay = 400 } = {}) {
+        this.form = form;
+        this.storageKey = storageKey;
+        this.notice = null;
+        this.unsubscribe = null;
+        // When the message was first edited; seeds the form's fill-time check on restore
+        this.startedAt = null;
+
+        this.save = this.save.bind(this);
+        this.handleInput = debounce(this.save, delay);
+        this.handleSent = this.handleSent.bind(this);
+        this.discard = this.discard.bind(this);
+        this.init();
+    }
+
+    init() {
+        this.restore();
+        this.form.addEventListener('input', this.handleInput);
+        this.unsubscribe = bus.on('contact:sent', this.handleSent);
+        // The debounced save may not have fired yet when the page goes away
+        window.addEventListener('pagehide', this.save);
+    }
+
+    getField(name) {
+        return this.form.elements.namedItem(name);
+    }
+
+    read() {
+        try {
+            const draft = JSON.parse(localStorage.getItem(this.storageKey));
+            if (!draft || typeof draft.fields !== 'object') return null;
+            if (Date.now() - draft.savedAt > MAX_DRAFT_AGE_MS) {
+                this.clear();
+                return null;
+            }
+            return draft;
+        } catch {
+            return null;
+        }
+    }
+
+    save() {
+        const fields = {};
+        DRAFT_FIELDS.forEach(name => {
+            const value = this.getField(name)?.value || '';
+            if (value.trim()) fields[name] = value;
+        });
+
+        if (Object.keys(fields).length === 0) {
+            this.clear();
+            return;
+        }
+        this.startedAt ??= Date.now();
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ fields, savedAt: Date.now(), startedAt: this.startedAt }));
+        } catch {
+            // Storage full or disabled; drafts are best effort
+        }
+    }
+
+    clear() {
+        this.startedAt = null;
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch {
+            // Ignore storage errors
+        }
+    }
+
+    restore() {
+        const draft = this.read();
+        if (!draft) return false;
+
+        // Never overwrite something the browser already filled back in
+        const fields = DRAFT_FIELDS.filter(name => draft.fields[name] && !this.getField(name)?.value);
+        if (fields.length === 0) return false;
+
+        fields.forEach(name => {
+            this.getField(name).value = draft.fields[name];
+        });
+        // Drafts saved before startedAt was kept fall back to their last save. One started
+        // longer ago than a form may stay open counts from now, or it could never be sent.
+        const startedAt = Number(draft.startedAt ?? draft.savedAt);
+        this.startedAt = Date.now() - startedAt < CONTACT_GUARD.maxFillTimeMs ? startedAt : Date.now();
+        this.showNotice(`Restored your unsent draft from ${describeAge(Date.now() - draft.savedAt)}.`);
+        return true;
+    }
+
+    showNotice(text) {
+        this.hideNotice();
+
+        const notice = document.createElement('div');
+        notice.className = 'draft-notice';
+        notice.setAttribute('role', 'status');
+
+        const message = document.createElement('span');
+        message.textContent = text;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'draft-discard';
+        button.textContent = 'Discard';
+        button.addEventListener('click', this.discard);
+
+        notice.append(message, button);
+        this.form.prepend(notice);
+        this.notice = notice;
+    }
+
+    hideNotice() {
+        this.notice?.remove();
+        this.notice = null;
+    }
+
+    discard() {
+        DRAFT_FIELDS.forEach(name => {
+            const field = this.getField(name);
+            if (field) field.value = '';
+        });
+        this.clear();
+        this.hideNotice();
+        this.getField('name')?.focus();
+    }
+
+    // Messages sent from the terminal leave the form's draft alone
+    handleSent({ source }) {
+        if (source !== 'form') return;
+        this.clear();
+        this.hideNotice();
+    }
+
+    destroy() {
+        // Save what the pending debounced call would have, while the form is still ours
+        this.handleInput.cancel();
+        this.save();
+        this.form.removeEventListener('input', this.handleInput);
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        window.removeEventListener('pagehide', this.save);
+        this.hideNotice();
+    }
+}
+
+export default ContactDraft;
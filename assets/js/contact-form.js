@@ -0,0 +1,319 @@
+// Contact form submission with client-side validation, spam guards and retries
+import { normalizeContact, validateContact } from './contact-validation.js';
+import { HONEYPOT_FIELD, SubmissionLimiter, checkSubmissionTiming, computeProofOfWork } from './contact-guard.js';
+import { bus } from './event-bus.js';
+
+export const DEFAULT_CONTACT_ENDPOINT = '/api/contact';
+
+// Longest Retry-After we will sit out before giving up on an attempt
+const MAX_RETRY_AFTER_SECONDS = 10;
+
+const submissionLimiter = new SubmissionLimiter({ storageKey: 'contact-submissions' });
+
+export class ContactSubmissionError extends Error {
+    constructor(message, { status = 0, fieldErrors = null, retryable = false, retryAfter = 0 } = {}) {
+        super(message);
+        this.name = 'ContactSubmissionError';
+        this.status = status;
+        this.fieldErrors = fieldErrors;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Server errors, timeouts and rate limiting are worth retrying; other 4xx are not
+const isRetryableStatus = status => status === 408 || status === 429 || status >= 500;
+
+async function postOnce(endpoint, payload, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            body: JSON.stringify(payload),
+            signal: controller.signal
+        });
+    } catch (error) {
+        const message = error.name === 'AbortError' ? 'Request timed out' : 'Network error, check your connection';
+        throw new ContactSubmissionError(message, { retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) {
+        return body;
+    }
+
+    const retryAfter = Number(response.headers.get('Retry-After')) || 0;
+    throw new ContactSubmissionError(body.error || `Server responded with ${response.status}`, {
+        status: response.status,
+        fieldErrors: body.errors || null,
+        retryable: isRetryableStatus(response.status) && retryAfter <= MAX_RETRY_AFTER_SECONDS,
+        retryAfter
+    });
+}
+
+function formatWait(ms) {
+    const minutes = Math.ceil(ms / 60000);
+    return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+}
+
+/**
+ * Validate and POST a contact message as JSON
+ * @param {{name: string, email: string, message: string}} data - Message fields
+ * @param {Object} [options]
+ * @param {number} options.startedAt - Epoch ms when the visitor started composing
+ * @param {string} [options.honeypot] - Value of the hidden honeypot field
+ * @param {string} [options.endpoint] - URL to POST to
+ * @param {number} [options.retries] - Extra attempts after a retryable failure
+ * @param {number} [options.retryDelay] - Base backoff in ms, doubled per attempt
+ * @param {number} [options.timeout] - Per-request timeout in ms
+ * @param {Function} [options.onRetry] - Called with (attempt, error) before each retry
+ * @param {Function} [options.onProgress] - Called with 'verifying' or 'sending'
+ * @returns {Promise<Object>} Parsed response body
+ * @throws {ContactSubmissionError}
+ */
+export async function submitContact(data, options = {}) {
+    const {
+        endpoint = DEFAULT_CONTACT_ENDPOINT,
+        retries = 2,
+        retryDelay = 800,
+        timeout = 10000,
+        onRetry = null,
+        onProgress = null,
+        startedAt,
+        honeypot = ''
+    } = options;
+
+    const payload = normalizeContact(data);
+    const fieldErrors = validateContact(payload);
+    if (Object.keys(fieldErrors).length > 0) {
+        throw new ContactSubmissionError('Please fix the highlighted fields', { status: 422, fieldErrors });
+    }
+
+    const rejection = checkSubmissionTiming({ honeypot, startedAt });
+    if (rejection === 'honeypot') {
+        // Look successful so bots get nothing to learn from, but send nothing
+        return { ok: true };
+    }
+    if (rejection === 'too-fast') {
+        throw new ContactSubmissionError('That was quick! Please take a moment to review your message.');
+    }
+    if (rejection === 'stale') {
+        throw new ContactSubmissionError('This form has expired, please reload the page.');
+    }
+
+    const waitMs = submissionLimiter.retryAfter();
+    if (waitMs > 0) {
+        throw new ContactSubmissionError(`You've sent several messages recently. Please try again in ${formatWait(waitMs)}.`, {
+            status: 429,
+            retryAfter: Math.ceil(waitMs / 1000)
+        });
+    }
+
+    onProgress?.('verifying');
+    let pow;
+    try {
+        pow = await computeProofOfWork(payload);
+    } catch (error) {
+        console.warn('Proof of work failed:', error);
+        throw new ContactSubmissionError('Could not verify this browser, please try again.');
+    }
+
+    // Retries resend the same stamp; the server answers a repeat of a message it already
+    // accepted with the original id
+    const body = { ...payload, [HONEYPOT_FIELD]: '', startedAt, pow };
+    onProgress?.('sending');
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const result = await postOnce(endpoint, body, timeout);
+            submissionLimiter.record();
+            return result;
+        } catch (error) {
+            if (!error.retryable || attempt >= retries) {
+                throw error;
+            }
+            onRetry?.(attempt + 1, error);
+            await wait(Math.max(retryDelay * 2 ** attempt, (error.retryAfter || 0) * 1000));
+        }
+    }
+}
+
+export class ContactForm {
+    constructor(form, options = {}) {
+        this.form = form;
+        this.endpoint = options.endpoint || form.dataset.endpoint || DEFAULT_CONTACT_ENDPOINT;
+        this.submitting = false;
+        this.resetTimeout = null;
+        // Time-to-submit is measured from when the form was set up, or from the first
+        // edit of a restored draft
+        this.startedAt = options.startedAt ?? Date.now();
+
+        this.submitButton = form.querySelector('.submit-button');
+        this.buttonText = this.submitButton?.querySelector('.button-text');
+        this.buttonLoader = this.submitButton?.querySelector('.button-loader');
+        this.defaultButtonText = this.buttonText?.textContent || 'Send Message';
+        this.fields = {
+            name: form.elements.namedItem('name'),
+            email: form.elements.namedItem('email'),
+            message: form.elements.namedItem('message')
+        };
+        this.honeypot = form.elements.namedItem(HONEYPOT_FIELD);
+
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.init();
+    }
+
+    init() {
+        // Validation messages are rendered by us rather than the browser bubbles
+        this.form.setAttribute('novalidate', '');
+        this.statusElement = this.form.querySelector('.form-status') || this.createStatusElement();
+
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.form.addEventListener('input', this.handleInput);
+    }
+
+    createStatusElement() {
+        const status = document.createElement('p');
+        status.className = 'form-status';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        this.form.appendChild(status);
+        return status;
+    }
+
+    getValues() {
+        return normalizeContact({
+            name: this.fields.name?.value,
+            email: this.fields.email?.value,
+            message: this.fields.message?.value
+        });
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (this.submitting) return;
+
+        const data = this.getValues();
+        const errors = validateContact(data);
+        this.showFieldErrors(errors);
+        if (Object.keys(errors).length > 0) {
+            this.setStatus('Please fix the highlighted fields', 'error');
+            this.fields[Object.keys(errors)[0]]?.focus();
+            return;
+        }
+
+        this.setState('loading');
+        try {
+            const result = await submitContact(data, {
+                endpoint: this.endpoint,
+                startedAt: this.startedAt,
+                honeypot: this.honeypot?.value,
+                onProgress: (stage) => this.setStatus(stage === 'verifying' ? 'Verifying...' : 'Sending...'),
+                onRetry: (attempt) => this.setStatus(`Connection problem, retrying (${attempt})...`)
+            });
+            this.setState('success');
+            this.form.reset();
+            this.startedAt = Date.now();
+            bus.emit('contact:sent', { source: 'form', result });
+        } catch (error) {
+            console.warn('Contact submission failed:', error);
+            if (error.fieldErrors) {
+                this.showFieldErrors(error.fieldErrors);
+            }
+            this.setState('error', error.message);
+        }
+    }
+
+    // Clear a field's error as soon as the visitor edits it
+    handleInput(e) {
+        const field = e.target;
+        if (field.getAttribute('aria-invalid') === 'true') {
+            this.setFieldError(field, null);
+        }
+    }
+
+    setState(state, message = '') {
+        clearTimeout(this.resetTimeout);
+        this.submitting = state === 'loading';
+
+        if (this.submitButton) {
+            this.submitButton.disabled = state === 'loading' || state === 'success';
+            this.submitButton.classList.toggle('loading', state === 'loading');
+        }
+        if (this.buttonLoader) {
+            this.buttonLoader.style.display = state === 'loading' ? 'block' : 'none';
+        }
+        if (this.buttonText) {
+            this.buttonText.style.opacity = state === 'loading' ? '0' : '1';
+        }
+
+        if (state === 'loading') {
+            this.setStatus('Sending...');
+        } else if (state === 'success') {
+            this.setButtonText('Message Sent!');
+            this.setStatus('Thanks! Your message has been sent.', 'success');
+            this.resetTimeout = setTimeout(() => this.setState('idle'), 3000);
+        } else if (state === 'error') {
+            this.setButtonText('Try Again');
+            this.setStatus(message || 'Something went wrong, please try again.', 'error');
+        } else {
+            this.setButtonText(this.defaultButtonText);
+            this.setStatus('');
+        }
+    }
+
+    setButtonText(text) {
+        if (this.buttonText) {
+            this.buttonText.textContent = text;
+        }
+    }
+
+    setStatus(message, type = '') {
+        if (!this.statusElement) return;
+        this.statusElement.textContent = message;
+        this.statusElement.className = `form-status${type ? ` form-status-${type}` : ''}`;
+    }
+
+    showFieldErrors(errors) {
+        Object.entries(this.fields).forEach(([name, field]) => {
+            if (field) this.setFieldError(field, errors[name] || null);
+        });
+    }
+
+    setFieldError(field, message) {
+        const errorId = `${field.id}-error`;
+        let errorElement = this.form.querySelector(`#${errorId}`);
+
+        if (!message) {
+            field.removeAttribute('aria-invalid');
+            errorElement?.remove();
+            return;
+        }
+
+        if (!errorElement) {
+            errorElement = document.createElement('span');
+            errorElement.id = errorId;
+            errorElement.className = 'form-error';
+            field.closest('.form-group')?.appendChild(errorElement);
+        }
+        errorElement.textContent = message;
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', errorId);
+    }
+
+    destroy() {
+        clearTimeout(this.resetTimeout);
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.form.removeEventListener('input', this.handleInput);
+    }
+}
+
+export default ContactForm;
@@ -0,0 +1,133 @@
+// Spam protection for contact submissions: honeypot, minimum fill time,
+// per-browser rate limit and proof of work. The constants and checks are
+// shared with the local stub server, which enforces the same rules.
+import { createStamp, solveStamp } from './proof-of-work.js';
+
+// Hidden field that people never see but form-filling bots happily complete
+export const HONEYPOT_FIELD = 'website';
+
+export const CONTACT_GUARD = Object.freeze({
+    // Humans need at least this long to fill the form in
+    minFillTimeMs: 3000,
+    // A started form older than this is treated as stale
+    maxFillTimeMs: 24 * 60 * 60 * 1000,
+    rateLimit: Object.freeze({ max: 3, windowMs: 60 * 60 * 1000 })
+});
+
+/**
+ * Check the cheap, stateless guards on a submission
+ * @param {Object} fields
+ * @param {string} [fields.honeypot] - Value of the honeypot field
+ * @param {number} fields.startedAt - Epoch ms when the form was first shown
+ * @param {number} [now]
+ * @returns {'honeypot'|'too-fast'|'stale'|null} Reason for rejection, or null
+ */
+export function checkSubmissionTiming({ honeypot = '', startedAt }, now = Date.now()) {
+    if (String(honeypot).trim() !== '') return 'honeypot';
+
+    const elapsed = now - Number(startedAt);
+    if (!Number.isFinite(elapsed) || elapsed > CONTACT_GUARD.maxFillTimeMs) return 'stale';
+    if (elapsed < CONTACT_GUARD.minFillTimeMs) return 'too-fast';
+    return null;
+}
+
+// Sliding-window rate limit; the browser keys it per visitor via localStorage,
+// the stub server per client address
+export class SubmissionLimiter {
+    constructor({ max = CONTACT_GUARD.rateLimit.max, windowMs = CONTACT_GUARD.rateLimit.windowMs, storageKey = null } = {}) {
+        this.max = max;
+        this.windowMs = windowMs;
+        this.storageKey = storageKey;
+        this.memory = new Map();
+    }
+
+    // Milliseconds until another submission is allowed, 0 when allowed now
+    retryAfter(key = 'default', now = Date.now()) {
+        const recent = this.recent(key, now);
+        if (recent.length < this.max) return 0;
+        return recent[recent.length - this.max] + this.windowMs - now;
+    }
+
+    record(key = 'default', now = Date.now()) {
+        const recent = this.recent(key, now);
+        recent.push(now);
+        this.save(key, recent);
+    }
+
+    recent(key, now) {
+        return this.read(key).filter(time => now - time < this.windowMs);
+    }
+
+    read(key) {
+        if (!this.storageKey) return this.memory.get(key) || [];
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored.filter(Number.isFinite) : [];
+        } catch {
+            return [];
+        }
+    }
+
+    save(key, times) {
+        if (!this.storageKey) {
+            this.memory.set(key, times);
+            return;
+        }
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(times));
+        } catch {
+            // Storage unavailable (private mode); the server still limits
+        }
+    }
+}
+
+let worker = null;
+let nextRequestId = 0;
+const pendingSolutions = new Map();
+
+function getWorker() {
+    if (worker || typeof Worker === 'undefined') return worker;
+
+    try {
+        worker = new Worker(new URL('./pow-worker.js', import.meta.url), { type: 'module' });
+    } catch {
+        return null;
+    }
+    worker.addEventListener('message', (e) => {
+        const { id, error, ...solution } = e.data;
+        const pending = pendingSolutions.get(id);
+        if (!pending) return;
+        pendingSolutions.delete(id);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(solution);
+        }
+    });
+    worker.addEventListener('error', () => {
+        // Module workers are not supported everywhere; fall back to the main thread
+        worker = null;
+        pendingSolutions.forEach(({ stamp, resolve, reject }) => solveStamp(stamp).then(resolve, reject));
+        pendingSolutions.clear();
+    });
+    return worker;
+}
+
+/**
+ * Solve a proof-of-work stamp for a message, in a worker when available
+ * @param {{name: string, email: string, message: string}} payload - Normalized message
+ * @returns {Promise<{stamp: string, nonce: number}>}
+ */
+export async function computeProofOfWork(payload) {
+    const stamp = await createStamp(payload);
+    const target = getWorker();
+    if (!target) {
+        return solveStamp(stamp);
+    }
+
+    return new Promise((resolve, reject) => {
+        const id = ++nextRequestId;
+        pendingSolutions.set(id, { stamp, resolve, reject });
+        target.postMessage({ id, stamp });
+    });
+}
@@ -0,0 +1,51 @@
+// Contact message validation shared by the browser form and the local stub server
+
+export const CONTACT_LIMITS = Object.freeze({
+    name: Object.freeze({ min: 2, max: 100 }),
+    email: Object.freeze({ max: 254 }),
+    message: Object.freeze({ min: 10, max: 5000 })
+});
+
+// Deliberately loose: one @, no spaces, a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Trim user input and keep only the fields the endpoint accepts
+export function normalizeContact(data = {}) {
+    return {
+        name: String(data.name ?? '').trim(),
+        email: String(data.email ?? '').trim(),
+        message: String(data.message ?? '').trim()
+    };
+}
+
+/**
+ * Validate a contact message
+ * @param {{name: string, email: string, message: string}} data - Normalized fields
+ * @returns {Object<string, string>} Error message per invalid field, empty when valid
+ */
+export function validateContact(data) {
+    const { name, email, message } = normalizeContact(data);
+    const errors = {};
+
+    if (name.length < CONTACT_LIMITS.name.min) {
+        errors.name = `Name must be at least ${CONTACT_LIMITS.name.min} characters`;
+    } else if (name.length > CONTACT_LIMITS.name.max) {
+        errors.name = `Name must be at most ${CONTACT_LIMITS.name.max} characters`;
+    }
+
+    if (!email) {
+        errors.email = 'Email is required';
+    } else if (email.length > CONTACT_LIMITS.email.max || !EMAIL_PATTERN.test(email)) {
+        errors.email = 'Enter a valid email address';
+    }
+
+    if (message.length < CONTACT_LIMITS.message.min) {
+        errors.message = `Message must be at least ${CONTACT_LIMITS.message.min} characters`;
+    } else if (message.length > CONTACT_LIMITS.message.max) {
+        errors.message = `Message must be at most ${CONTACT_LIMITS.message.max} characters`;
+    }
+
+    return errors;
+}
+
+export default validateContact;
@@ -0,0 +1,131 @@
+// Site-wide publish/subscribe bus
+// Modules announce what happened and react to one another through named events instead
+// of importing each other or listening on shared DOM nodes. Every event is declared in
+// EVENTS with the payload fields it carries; emitting an undeclared event or leaving a
+// field out throws, so a typo fails where it is made instead of silently reaching nobody.
+
+/**
+ * @typedef {Object} EventPayloads
+ * @property {{url: URL, previous: URL|null}} route:leave - Before the router removes the old content
+ * @property {{url: URL, previous: URL|null}} route:change - Once the new content is in place
+ * @property {{url: URL, previous: URL}} route:update - The query or hash changed without leaving the page
+ * @property {{name: string, argv: string[], status: number}} terminal:command - After a terminal command exits
+ * @property {{id: string|null, element: Element|null, previous: string|null, direction: 'up'|'down'}} scroll:section-enter
+ *     - A section[id] became the one being read; id is null above the first or below the last section
+ * @property {{level: 'full'|'reduced'|'off', reduced: boolean, preference: string}} motion:preference-change
+ *     - How much the site may animate; reduced is true below full, preference may also be 'auto'
+ * @property {{source: 'form'|'terminal', result: Object}} contact:sent - A contact message was delivered
+ */
+
+export const EVENTS = Object.freeze({
+    'route:leave': ['url', 'previous'],
+    'route:change': ['url', 'previous'],
+    'route:update': ['url', 'previous'],
+    'terminal:command': ['name', 'argv', 'status'],
+    'scroll:section-enter': ['id', 'element', 'previous', 'direction'],
+    'motion:preference-change': ['level', 'reduced', 'preference'],
+    'contact:sent': ['source', 'result']
+});
+
+export class EventBus {
+    constructor(events = EVENTS) {
+        this.events = events;
+        this.handlers = new Map();
+        // Last payload of each event, handed to late subscribers that ask for it
+        this.latest = new Map();
+    }
+
+    assertKnown(name) {
+        if (!Object.hasOwn(this.events, name)) {
+            throw new Error(`Unknown event "${name}"`);
+        }
+    }
+
+    /**
+     * Subscribe to an event
+     * @template {keyof EventPayloads} K
+     * @param {K} name
+     * @param {(payload: EventPayloads[K]) => void} handler
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Unsubscribes when aborted
+     * @param {boolean} [options.once] - Unsubscribes after the first call
+     * @param {boolean} [options.replay] - Call right away with the last payload, if the event was emitted before
+     * @returns {Function} Unsubscribes the handler
+     */
+    on(name, handler, { signal = null, once = false, replay = false } = {}) {
+        this.assertKnown(name);
+        if (signal?.aborted) return () => {};
+
+        const off = () => this.off(name, listener);
+        const listener = payload => {
+            if (once) off();
+            handler(payload);
+        };
+        listener.handler = handler;
+
+        if (!this.handlers.has(name)) {
+            this.handlers.set(name, new Set());
+        }
+        this.handlers.get(name).add(listener);
+        signal?.addEventListener('abort', off, { once: true });
+
+        if (replay && this.latest.has(name)) {
+            this.call(name, listener, this.latest.get(name));
+        }
+        return off;
+    }
+
+    once(name, handler, options = {}) {
+        return this.on(name, handler, { ...options, once: true });
+    }
+
+    // Remove a handler passed to on(), or the wrapper it returned
+    off(name, handler) {
+        const listeners = this.handlers.get(name);
+        if (!listeners) return;
+        listeners.forEach(listener => {
+            if (listener === handler || listener.handler === handler) {
+                listeners.delete(listener);
+            }
+        });
+        if (listeners.size === 0) {
+            this.handlers.delete(name);
+        }
+    }
+
+    /**
+     * Deliver an event to its subscribers, in subscription order
+     * @template {keyof EventPayloads} K
+     * @param {K} name
+     * @param {EventPayloads[K]} payload
+     */
+    emit(name, payload = {}) {
+        this.assertKnown(name);
+        const missing = this.events[name].filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`Event "${name}" is missing ${missing.join(', ')}`);
+        }
+
+        this.latest.set(name, payload);
+        // Copied so handlers can unsubscribe, or subscribe others, while it runs
+        [...(this.handlers.get(name) || [])].forEach(listener => this.call(name, listener, payload));
+    }
+
+    // One failing subscriber must not keep the event from the rest
+    call(name, listener, payload) {
+        try {
+            listener(payload);
+        } catch (error) {
+            console.error(`Handler for "${name}" failed:`, error);
+        }
+    }
+
+    clear() {
+        this.handlers.clear();
+        this.latest.clear();
+    }
+}
+
+export const bus = new EventBus();
+
+export default bus;
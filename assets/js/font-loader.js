@@ -1,7 +1,7 @@
 // Font Loading Handler with Dynamic Configuration
 
 // Font configuration
-const fontConfig = [
+export const fontConfig = [
     {
         family: 'Hack',
         className: 'font-loaded-hack',
@@ -24,7 +24,7 @@ const fontConfig = [
     // Add more font configurations here as needed
 ];
 
-class FontLoader {
+export class FontLoader {
     constructor(config = fontConfig) {
         this.config = config;
         this.loadedFonts = new Set();
@@ -75,12 +75,12 @@ class FontLoader {
             return true;
         } catch (error) {
             console.warn(`Failed to load font family ${fontConfig.family}:`, error);
-            this.loadFallback(fontConfig);
+            FontLoader.loadFallback(fontConfig);
             return false;
         }
     }
 
-    loadFallback(fontConfig) {
+    static loadFallback(fontConfig) {
         if (fontConfig.fallback) {
             const link = document.createElement('link');
             link.href = fontConfig.fallback;
@@ -94,7 +94,7 @@ class FontLoader {
         document.documentElement.classList.add('fonts-failed');
         
         // Load fallbacks for all font families
-        this.config.forEach(fontConfig => this.loadFallback(fontConfig));
+        this.config.forEach(fontConfig => FontLoader.loadFallback(fontConfig));
     }
 
     saveToSession() {
@@ -127,6 +127,22 @@ class FontLoader {
         return 'fonts' in document;
     }
 
+    /**
+     * Load the fonts unless this session already has them
+     * @returns {FontLoader|null} The loader when fonts are being loaded, for cleanup
+     */
+    static start(config = fontConfig) {
+        // Fallback for browsers that don't support native font loading
+        if (!FontLoader.supportsNativeFontLoading()) {
+            config.forEach(fontConfig => FontLoader.loadFallback(fontConfig));
+            return null;
+        }
+        if (FontLoader.checkSession()) {
+            return null;
+        }
+        return new FontLoader(config);
+    }
+
     destroy() {
         // Remove all loaded font faces
         this.fontFaces.forEach(face => {
@@ -143,33 +159,4 @@ class FontLoader {
     }
 }
 
-// Initialize font loading on DOMContentLoaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Check session storage first
-    if (!FontLoader.checkSession() && FontLoader.supportsNativeFontLoading()) {
-        const loader = new FontLoader();
-        
-        // Store loader instance for potential cleanup
-        window._fontLoader = loader;
-    }
-});
-
-// Fallback for browsers that don't support native font loading
-if (!FontLoader.supportsNativeFontLoading()) {
-    fontConfig.forEach(config => {
-        if (config.fallback) {
-            const link = document.createElement('link');
-            link.href = config.fallback;
-            link.rel = 'stylesheet';
-            document.head.appendChild(link);
-        }
-    });
-}
-
-// Cleanup on page unload
-window.addEventListener('beforeunload', () => {
-    if (window._fontLoader) {
-        window._fontLoader.destroy();
-        window._fontLoader = null;
-    }
-}, { once: true }); 
\ No newline at end of file
+export default FontLoader;
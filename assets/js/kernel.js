@@ -0,0 +1,193 @@
+// Application kernel: the one place modules are started and stopped
+// Modules are registered with init/destroy hooks and the names of the modules they
+// depend on. App modules initialize once, in dependency order, when the DOM is ready,
+// and are destroyed in reverse order when the page is unloaded. Page modules are bound
+// to the routed content: mounted for the first page and after every route:change,
+// destroyed on route:leave.
+import { bus } from './event-bus.js';
+
+const SCOPES = ['app', 'page'];
+
+export class Kernel {
+    constructor() {
+        this.definitions = new Map();
+        this.instances = new Map();
+        // Initialized module names, in order, per scope
+        this.active = { app: [], page: [] };
+        this.state = 'idle';
+        this.ready = null;
+        this.subscriptions = null;
+
+        this.handleRouteLeave = () => this.unmountPage();
+        this.handleRouteChange = () => this.mountPage();
+        this.handlePageHide = e => {
+            // Pages kept in the back/forward cache come back with their modules intact
+            if (!e.persisted) this.stop();
+        };
+    }
+
+    /**
+     * Register a module
+     * @param {string} name
+     * @param {Object} definition
+     * @param {Function} definition.init - Called with the kernel; its (awaited) result is the module's instance
+     * @param {Function} [definition.destroy] - Called with the instance when the module is torn down
+     * @param {string[]} [definition.requires] - Modules that must be initialized first
+     * @param {'app'|'page'} [definition.scope] - Page modules are rebuilt on every route change
+     * @returns {Kernel}
+     */
+    register(name, { init, destroy = null, requires = [], scope = 'app' }) {
+        if (this.state !== 'idle') {
+            throw new Error(`Cannot register "${name}" after the kernel has started`);
+        }
+        if (this.definitions.has(name)) {
+            throw new Error(`Module "${name}" is already registered`);
+        }
+        if (typeof init !== 'function') {
+            throw new Error(`Module "${name}" needs an init function`);
+        }
+        if (!SCOPES.includes(scope)) {
+            throw new Error(`Module "${name}" has an unknown scope "${scope}"`);
+        }
+        this.definitions.set(name, { name, init, destroy, requires, scope });
+        return this;
+    }
+
+    /**
+     * The instance returned by a module's init
+     * @param {string} name
+     */
+    get(name) {
+        return this.instances.get(name);
+    }
+
+    has(name) {
+        return this.instances.has(name);
+    }
+
+    /**
+     * Registered modules sorted so every module comes after the ones it requires
+     * @throws {Error} On unknown dependencies, cycles, or app modules requiring page modules
+     */
+    resolveOrder() {
+        const order = [];
+        const visiting = new Set();
+        const visited = new Set();
+
+        const visit = (name, path) => {
+            if (visited.has(name)) return;
+            if (visiting.has(name)) {
+                throw new Error(`Circular module dependency: ${[...path, name].join(' -> ')}`);
+            }
+            visiting.add(name);
+            const definition = this.definitions.get(name);
+            definition.requires.forEach(dependency => {
+                const required = this.definitions.get(dependency);
+                if (!required) {
+                    throw new Error(`Module "${name}" requires unknown module "${dependency}"`);
+                }
+                if (definition.scope === 'app' && required.scope === 'page') {
+                    throw new Error(`App module "${name}" cannot require page module "${dependency}"`);
+                }
+                visit(dependency, [...path, name]);
+            });
+            visiting.delete(name);
+            visited.add(name);
+            order.push(definition);
+        };
+
+        this.definitions.forEach((definition, name) => visit(name, []));
+        return order;
+    }
+
+    /**
+     * Initialize every app module, then the page modules, once the DOM is ready
+     * Calling it again returns the same promise
+     * @returns {Promise<Kernel>}
+     */
+    start() {
+        if (this.ready) return this.ready;
+        this.state = 'starting';
+        this.order = this.resolveOrder();
+
+        this.ready = (async () => {
+            if (document.readyState === 'loading') {
+                await new Promise(resolve => document.addEventListener('DOMContentLoaded', resolve, { once: true }));
+            }
+
+            await this.initScope('app');
+            await this.initScope('page');
+
+            this.subscriptions = new AbortController();
+            const { signal } = this.subscriptions;
+            bus.on('route:leave', this.handleRouteLeave, { signal });
+            bus.on('route:change', this.handleRouteChange, { signal });
+            window.addEventListener('pagehide', this.handlePageHide);
+            this.state = 'running';
+            return this;
+        })();
+        return this.ready;
+    }
+
+    async initScope(scope) {
+        for (const definition of this.order) {
+            if (definition.scope === scope) {
+                await this.initModule(definition);
+            }
+        }
+    }
+
+    async initModule({ name, init, requires, scope }) {
+        const missing = requires.filter(dependency => !this.instances.has(dependency));
+        if (missing.length > 0) {
+            console.warn(`Skipping module "${name}": ${missing.join(', ')} unavailable`);
+            return;
+        }
+
+        try {
+            this.instances.set(name, await init(this));
+            this.active[scope].push(name);
+        } catch (error) {
+            console.error(`Module "${name}" failed to initialize:`, error);
+        }
+    }
+
+    destroyModule(name) {
+        const { destroy } = this.definitions.get(name);
+        const instance = this.instances.get(name);
+        this.instances.delete(name);
+        try {
+            destroy?.(instance, this);
+        } catch (error) {
+            console.error(`Module "${name}" failed to tear down:`, error);
+        }
+    }
+
+    // Destroy the page modules in reverse order before the router swaps the content
+    unmountPage() {
+        this.active.page.splice(0).reverse().forEach(name => this.destroyModule(name));
+    }
+
+    async mountPage() {
+        if (this.state !== 'running') return;
+        this.unmountPage();
+        await this.initScope('page');
+    }
+
+    // Tear everything down, page modules first; each module is destroyed at most once
+    stop() {
+        if (this.state === 'stopped' || this.state === 'idle') return;
+        this.state = 'stopped';
+
+        this.subscriptions?.abort();
+        this.subscriptions = null;
+        window.removeEventListener('pagehide', this.handlePageHide);
+
+        this.unmountPage();
+        this.active.app.splice(0).reverse().forEach(name => this.destroyModule(name));
+    }
+}
+
+export const kernel = new Kernel();
+
+export default kernel;
@@ -0,0 +1,77 @@
+// Readline-style editing operations on a single input line
+// Each operation takes {value, caret} and returns the new {value, caret},
+// plus `killed` text for operations that cut into the kill buffer
+
+const isWordChar = char => /[A-Za-z0-9_]/.test(char);
+const isSpace = char => /\s/.test(char);
+
+// Start of the word before the caret, skipping any separators first
+function previousWordStart(value, caret, isInWord) {
+    let index = caret;
+    while (index > 0 && !isInWord(value[index - 1])) index--;
+    while (index > 0 && isInWord(value[index - 1])) index--;
+    return index;
+}
+
+// End of the word after the caret, skipping any separators first
+function nextWordEnd(value, caret, isInWord) {
+    let index = caret;
+    while (index < value.length && !isInWord(value[index])) index++;
+    while (index < value.length && isInWord(value[index])) index++;
+    return index;
+}
+
+function cut(value, start, end) {
+    return {
+        value: value.slice(0, start) + value.slice(end),
+        caret: start,
+        killed: value.slice(start, end)
+    };
+}
+
+export const lineEditActions = Object.freeze({
+    'beginning-of-line': ({ value }) => ({ value, caret: 0 }),
+
+    'end-of-line': ({ value }) => ({ value, caret: value.length }),
+
+    'backward-word': ({ value, caret }) => ({ value, caret: previousWordStart(value, caret, isWordChar) }),
+
+    'forward-word': ({ value, caret }) => ({ value, caret: nextWordEnd(value, caret, isWordChar) }),
+
+    // Ctrl+U: cut from the start of the line to the caret
+    'unix-line-discard': ({ value, caret }) => cut(value, 0, caret),
+
+    // Ctrl+K: cut from the caret to the end of the line
+    'kill-line': ({ value, caret }) => cut(value, caret, value.length),
+
+    // Ctrl+W: cut the whitespace-delimited word before the caret
+    'unix-word-rubout': ({ value, caret }) =>
+        cut(value, previousWordStart(value, caret, char => !isSpace(char)), caret),
+
+    // Alt+D: cut to the end of the next word
+    'kill-word': ({ value, caret }) => cut(value, caret, nextWordEnd(value, caret, isWordChar))
+});
+
+/**
+ * Apply a named editing action
+ * @param {string} action - Key of lineEditActions
+ * @param {{value: string, caret: number}} state - Current line and caret offset
+ * @returns {{value: string, caret: number, killed?: string}}
+ */
+export function editLine(action, state) {
+    const operation = lineEditActions[action];
+    if (!operation) {
+        throw new Error(`Unknown line edit action: ${action}`);
+    }
+    return operation(state);
+}
+
+// Insert text at the caret (used for yanking the kill buffer)
+export function insertText({ value, caret }, text) {
+    return {
+        value: value.slice(0, caret) + text + value.slice(caret),
+        caret: caret + text.length
+    };
+}
+
+export default editLine;
@@ -1,295 +1,230 @@
 import { gsap } from 'gsap';
 import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { kernel } from './kernel.js';
 import scrollHandler from './scroll-handler.js';
+import { FontLoader } from './font-loader.js';
+import { motion, MotionToggle } from './motion.js';
+import { scheduler } from './scheduler.js';
+import { SiteChrome } from './site-chrome.js';
 import { Terminal } from './terminal.js';
 import { PageAnimations } from './animations.js';
+import { ContactForm } from './contact-form.js';
+import { ContactDraft } from './contact-draft.js';
+import { ProjectsPage } from './projects.js';
+import { ProjectFilters } from './project-filters.js';
+import { SearchOverlay } from './site-search.js';
+import { CodeBlocks } from './code-blocks.js';
+import { ResponsiveImages } from './responsive-images.js';
+import { router } from './router.js';
 
 gsap.registerPlugin(ScrollTrigger);
 
-// Initialize terminal only once
-let terminalInstance = null;
-function initializeTerminal() {
-    if (!terminalInstance) {
-        console.log('Initializing terminal...');
-        terminalInstance = Terminal.getInstance();
-    } else {
-        console.warn('Terminal already initialized, skipping initialization');
-    }
-}
-
-// Initialize based on DOM readiness
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initializeTerminal);
-} else {
-    requestAnimationFrame(initializeTerminal);
-}
-
-// Initialize scroll handler
-const htmlElement = document.documentElement;
-
-// Form Handling
-const contactForm = document.getElementById('contact-form');
-if (contactForm) {
-    const submitButton = contactForm.querySelector('.submit-button');
-    const buttonText = submitButton.querySelector('.button-text');
-    const buttonLoader = submitButton.querySelector('.button-loader');
-
-    contactForm.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        
-        // Show loading state
-        buttonText.style.opacity = '0';
-        buttonLoader.style.display = 'block';
-        submitButton.disabled = true;
-
-        // Simulate form submission
-        await new Promise(resolve => setTimeout(resolve, 2000));
-
-        // Show success state
-        buttonLoader.style.display = 'none';
-        buttonText.textContent = 'Message Sent!';
-        buttonText.style.opacity = '1';
+// Every module is started here, through the kernel. App modules live as long as the
+// document; page modules are rebuilt for each page the router swaps in.
 
-        // Reset form
-        setTimeout(() => {
-            contactForm.reset();
-            buttonText.textContent = 'Send Message';
-            submitButton.disabled = false;
-        }, 3000);
-    });
-}
+kernel.register('fonts', {
+    init: () => FontLoader.start(),
+    destroy: loader => loader?.destroy()
+});
 
-// Loading Animation
-const loadingBar = document.querySelector('.loading-bar');
-if (loadingBar) {
-    window.addEventListener('load', () => {
-        gsap.to(loadingBar, {
-            scaleX: 1,
-            duration: 0.8,
-            ease: 'power2.out',
-            onComplete: () => {
-                gsap.to(loadingBar, {
-                    scaleX: 0,
-                    transformOrigin: 'right',
-                    duration: 0.5,
-                    delay: 0.2
-                });
-            }
-        });
-    }, { passive: true });
-}
+// Full, reduced or off; announced to the animated modules on the event bus
+kernel.register('motion', {
+    init: () => motion.init(),
+    destroy: controller => controller.destroy()
+});
 
-// Mobile Menu Functionality
-const mobileMenuBtn = document.querySelector('.mobile-menu-btn');
-const mobileMenu = document.querySelector('.mobile-menu');
-const navbar = document.querySelector('.navbar');
-const body = document.body;
-let lastScroll = 0;
+kernel.register('motion-toggle', {
+    requires: ['motion'],
+    init: app => new MotionToggle(app.get('motion')).init(),
+    destroy: toggle => toggle.destroy()
+});
 
-// Handle mobile menu toggle
-function toggleMobileMenu() {
-    mobileMenuBtn.classList.toggle('active');
-    mobileMenu.classList.toggle('active');
-    body.classList.toggle('menu-open');
-    
-    // Add animation delays to menu items
-    const menuItems = document.querySelectorAll('.mobile-menu-links li');
-    menuItems.forEach((item, index) => {
-        item.style.setProperty('--item-index', index);
-    });
-}
+// Runs the background loops only while the tab is visible and their elements are on screen
+kernel.register('scheduler', {
+    init: () => scheduler.start(),
+    destroy: instance => instance.destroy()
+});
 
-mobileMenuBtn.addEventListener('click', toggleMobileMenu);
+kernel.register('scroll', {
+    init: () => {
+        scrollHandler.init();
+        return scrollHandler;
+    },
+    destroy: handler => handler.destroy()
+});
 
-// Close mobile menu when clicking outside
-document.addEventListener('click', (e) => {
-    if (mobileMenu.classList.contains('active') && 
-        !mobileMenu.contains(e.target) && 
-        !mobileMenuBtn.contains(e.target)) {
-        toggleMobileMenu();
+// Loading bar, navbar, mobile menu, anchor scrolling and touch feedback
+kernel.register('chrome', {
+    requires: ['scroll'],
+    init: app => new SiteChrome({ scrollHandler: app.get('scroll') }).init(),
+    destroy: chrome => {
+        chrome.destroy();
+        ScrollTrigger.getAll().forEach(trigger => trigger.kill());
+        gsap.killTweensOf('*');
     }
 });
 
-// Close mobile menu when clicking on a link
-document.querySelectorAll('.mobile-menu-links a').forEach(link => {
-    link.addEventListener('click', () => {
-        if (mobileMenu.classList.contains('active')) {
-            toggleMobileMenu();
-        }
-    });
+// Site-wide search, opened with Ctrl+K / Cmd+K
+kernel.register('search', {
+    init: () => {
+        const overlay = new SearchOverlay();
+        overlay.init();
+        return overlay;
+    },
+    destroy: overlay => overlay.destroy()
 });
 
-// Handle navbar visibility on scroll
-let scrollTimeout;
-
-function handleScroll() {
-    clearTimeout(scrollTimeout);
-    
-    const currentScroll = window.pageYOffset;
-    
-    // Show/hide navbar based on scroll direction
-    if (currentScroll > lastScroll && currentScroll > 100) {
-        navbar.classList.add('hide');
-    } else {
-        navbar.classList.remove('hide');
-    }
-    
-    lastScroll = currentScroll;
-    
-    // Add scrolled class for styling
-    if (currentScroll > 50) {
-        navbar.classList.add('scrolled');
-    } else {
-        navbar.classList.remove('scrolled');
-    }
-    
-    // Debounce scroll handling
-    scrollTimeout = setTimeout(() => {
-        navbar.classList.remove('hide');
-    }, 150);
-}
-
-// Throttle scroll event
-let ticking = false;
-window.addEventListener('scroll', () => {
-    if (!ticking) {
-        window.requestAnimationFrame(() => {
-            handleScroll();
-            ticking = false;
-        });
-        ticking = true;
-    }
+// Copy buttons, line numbers and highlighting for code samples
+kernel.register('code-blocks', {
+    init: () => new CodeBlocks().init(),
+    destroy: codeBlocks => codeBlocks.destroy()
 });
 
-// Handle smooth scrolling for anchor links
-document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-    anchor.addEventListener('click', function(e) {
-        e.preventDefault();
-        const target = document.querySelector(this.getAttribute('href'));
-        if (!target) return;
+kernel.register('terminal', {
+    requires: ['scheduler'],
+    init: () => Terminal.getInstance().init(),
+    destroy: terminal => terminal.destroy()
+});
 
-        if (scrollHandler && !scrollHandler.supportsNativeSmoothScroll) {
-            const easing = anchor.dataset.scrollEasing || scrollHandler.defaultEasing;
-            scrollHandler.smoothScroll(target, { easing });
-        } else {
-            const headerOffset = 100;
-            const elementPosition = target.getBoundingClientRect().top;
-            const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+kernel.register('animations', {
+    requires: ['scheduler'],
+    init: () => new PageAnimations(),
+    destroy: animations => animations.destroy()
+});
 
-            window.scrollTo({
-                top: offsetPosition,
-                behavior: 'smooth'
-            });
-        }
-    });
+// Links between pages swap the content in place once everything else is up
+kernel.register('router', {
+    requires: ['chrome', 'terminal', 'animations'],
+    init: () => router.start(),
+    destroy: instance => instance.destroy()
 });
 
-// Handle touch events for better mobile interaction
-if ('ontouchstart' in window) {
-    document.documentElement.classList.add('touch-device');
-    
-    // Add touch feedback
-    const buttons = document.querySelectorAll('button, .mobile-menu-links a, .social-link');
-    buttons.forEach(button => {
-        button.addEventListener('touchstart', function() {
-            this.classList.add('touch-active');
-        });
-        
-        button.addEventListener('touchend', function() {
-            this.classList.remove('touch-active');
+// Page modules, in the order they mount
+
+// Re-measure for the new content: scroll progress, parallax, sections, ScrollTrigger
+kernel.register('layout', {
+    scope: 'page',
+    requires: ['scroll'],
+    init: app => {
+        document.querySelectorAll('.parallax-image').forEach(image => {
+            // Set default speed if not specified
+            if (!image.dataset.speed && !image.dataset.speedY) {
+                image.dataset.speedY = '0.5';
+            }
         });
-    });
-}
+        app.get('scroll').refresh();
+        ScrollTrigger.refresh();
+    }
+});
 
-// Update active section on scroll
-const sections = document.querySelectorAll('section[id]');
-function updateActiveSection() {
-    const scrollY = window.pageYOffset;
-    
-    sections.forEach(section => {
-        const sectionHeight = section.offsetHeight;
-        const sectionTop = section.offsetTop - 100;
-        const sectionId = section.getAttribute('id');
-        
-        if (scrollY > sectionTop && scrollY <= sectionTop + sectionHeight) {
-            document.querySelector(`.mobile-menu-links a[href="#${sectionId}"]`)?.classList.add('active');
-        } else {
-            document.querySelector(`.mobile-menu-links a[href="#${sectionId}"]`)?.classList.remove('active');
-        }
-    });
-}
+// The terminal keeps its state and output; only the page's markup is bound and released
+kernel.register('terminal-view', {
+    scope: 'page',
+    requires: ['terminal'],
+    init: app => {
+        const terminal = app.get('terminal');
+        terminal.mount();
+        return terminal;
+    },
+    destroy: terminal => terminal.unmount()
+});
 
-window.addEventListener('scroll', updateActiveSection);
+kernel.register('page-animations', {
+    scope: 'page',
+    requires: ['animations'],
+    init: app => {
+        const animations = app.get('animations');
+        animations.animatePage();
+        return animations;
+    },
+    destroy: animations => animations.releasePage()
+});
 
-// Handle window resize
-let resizeTimeout;
-window.addEventListener('resize', () => {
-    clearTimeout(resizeTimeout);
-    resizeTimeout = setTimeout(() => {
-        if (window.innerWidth > 768 && mobileMenu.classList.contains('active')) {
-            toggleMobileMenu();
-        }
-    }, 250);
+// Fade out blurred placeholders of the prebuilt <picture> elements
+kernel.register('responsive-images', {
+    scope: 'page',
+    init: () => new ResponsiveImages().init()
 });
 
-// Dynamic navbar background on scroll
-if (navbar) {
-    ScrollTrigger.create({
-        start: 'top -50',
-        onUpdate: (self) => {
-            const direction = self.direction === 1;
-            gsap.to(navbar, {
-                backgroundColor: direction ? 'rgba(10, 10, 10, 0.98)' : 'rgba(10, 10, 10, 0.95)',
-                boxShadow: direction ? '0 2px 10px rgba(0, 0, 0, 0.3)' : 'none',
-                duration: 0.3
-            });
-        }
-    });
-}
+kernel.register('code-samples', {
+    scope: 'page',
+    requires: ['code-blocks'],
+    init: app => app.get('code-blocks').enhance()
+});
 
-// Initialize all functionality when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize typing animation
-    const txtElement = document.querySelector('.typed-text');
-    if (txtElement) {
-        const words = JSON.parse(txtElement.getAttribute('data-words') || '[]');
-        const wait = txtElement.getAttribute('data-wait');
-        new TypeWriter(txtElement, words, wait);
+// Form Handling
+kernel.register('contact-form', {
+    scope: 'page',
+    init: () => {
+        const form = document.getElementById('contact-form');
+        if (!form) return null;
+        // The draft is restored first so the form can time the message from its first edit
+        const draft = new ContactDraft(form);
+        return { draft, contact: new ContactForm(form, { startedAt: draft.startedAt }) };
+    },
+    destroy: instance => {
+        instance?.draft.destroy();
+        instance?.contact.destroy();
     }
+});
 
-    // Initialize parallax images
-    document.querySelectorAll('.parallax-image').forEach(image => {
-        // Set default speed if not specified
-        if (!image.dataset.speed && !image.dataset.speedY) {
-            image.dataset.speedY = '0.5';
-        }
-    });
-
-    // Initialize all animations with IntersectionObserver
-    const animateOnScroll = new IntersectionObserver((entries) => {
-        entries.forEach(entry => {
-            if (entry.isIntersecting) {
-                entry.target.classList.add('animate');
-                animateOnScroll.unobserve(entry.target);
+// Project cards are rendered from assets/data/projects.json; filters attach once they are in
+kernel.register('projects', {
+    scope: 'page',
+    requires: ['code-blocks'],
+    init: app => {
+        if (!document.querySelector('[data-project-category]')) return null;
+
+        const state = { page: new ProjectsPage(), filters: null, active: true };
+        state.page.init().then(() => {
+            if (!state.active) return;
+            app.get('code-blocks').enhance();
+            const filterForm = document.querySelector('.project-filters');
+            if (filterForm && state.page.catalog) {
+                state.filters = new ProjectFilters(filterForm, state.page);
+                state.filters.init();
             }
         });
-    }, {
-        threshold: 0.2,
-        rootMargin: '50px'
-    });
+        return state;
+    },
+    destroy: state => {
+        if (!state) return;
+        state.active = false;
+        state.filters?.destroy();
+    }
+});
 
-    // Observe elements for animation
-    document.querySelectorAll('.animate-on-scroll').forEach(element => {
-        animateOnScroll.observe(element);
-    });
+// Initialize all animations with IntersectionObserver
+kernel.register('scroll-reveal', {
+    scope: 'page',
+    init: () => {
+        const animateOnScroll = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    entry.target.classList.add('animate');
+                    animateOnScroll.unobserve(entry.target);
+                }
+            });
+        }, {
+            threshold: 0.2,
+            rootMargin: '50px'
+        });
+
+        // Observe elements for animation
+        document.querySelectorAll('.animate-on-scroll').forEach(element => {
+            animateOnScroll.observe(element);
+        });
+        return animateOnScroll;
+    },
+    destroy: observer => observer.disconnect()
+});
 
-    // Initialize Skills Category Collapsible functionality
-    initializeSkillsCollapsible();
+kernel.register('skills', {
+    scope: 'page',
+    init: () => initializeSkillsCollapsible()
+});
 
-    // Initialize terminal and animations
-    Terminal.getInstance();
-    new PageAnimations();
-}, { passive: true });
+kernel.start();
 
 // Skills Category Collapsible
 function initializeSkillsCollapsible() {
@@ -333,15 +268,3 @@ function initializeSkillsCollapsible() {
         });
     });
 }
-
-// Clean up event listeners and animations
-window.addEventListener('beforeunload', () => {
-    // Clean up scroll handler
-    if (scrollHandler) {
-        scrollHandler.destroy();
-    }
-    
-    // Kill all GSAP animations
-    ScrollTrigger.getAll().forEach(trigger => trigger.kill());
-    gsap.killTweensOf('*');
-}, { once: true }); 
\ No newline at end of file
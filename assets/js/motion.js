@@ -0,0 +1,185 @@
+// How much the site animates: full, reduced or off
+// Follows the system's reduced motion setting until the visitor picks a level with the
+// navbar toggle or the `motion` terminal command; the choice is kept in localStorage.
+// Modules hear about the level through motion:preference-change on the event bus:
+//   full    - everything, as designed
+//   reduced - no ambient or decorative motion; fades stay, movement goes
+//   off     - nothing animates, every change lands in its end state at once
+import { bus } from './event-bus.js';
+
+export const MOTION_LEVELS = Object.freeze(['full', 'reduced', 'off']);
+// 'auto' follows prefers-reduced-motion
+export const MOTION_PREFERENCES = Object.freeze(['auto', ...MOTION_LEVELS]);
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Movement properties of an anime.js animation, kept only at the full level
+ * @param {string} level - Current motion level
+ * @param {Object} properties - Transform properties, e.g. { translateY: [10, 0] }
+ * @returns {Object}
+ */
+export function movement(level, properties) {
+    return level === 'full' ? properties : {};
+}
+
+export class MotionController {
+    constructor({ storageKey = 'motion-preference' } = {}) {
+        this.storageKey = storageKey;
+        this.preference = 'auto';
+        this.level = 'full';
+        this.query = null;
+
+        this.handleSystemChange = () => this.update();
+    }
+
+    init() {
+        this.preference = this.restore();
+        this.query = window.matchMedia?.(REDUCED_MOTION_QUERY) ?? null;
+        this.query?.addEventListener('change', this.handleSystemChange);
+        this.update();
+        return this;
+    }
+
+    get systemReduced() {
+        return this.query?.matches ?? false;
+    }
+
+    // Level a preference stands for right now
+    resolve(preference = this.preference) {
+        if (preference !== 'auto') return preference;
+        return this.systemReduced ? 'reduced' : 'full';
+    }
+
+    /**
+     * Pick a level, or 'auto' to follow the system setting again
+     * @param {string} preference - One of MOTION_PREFERENCES
+     * @throws {Error} On an unknown preference
+     */
+    set(preference) {
+        if (!MOTION_PREFERENCES.includes(preference)) {
+            throw new Error(`Unknown motion level "${preference}"`);
+        }
+        this.preference = preference;
+        this.save();
+        this.update();
+    }
+
+    // Step to the next preference, wrapping around; used by the toggle
+    cycle() {
+        const index = MOTION_PREFERENCES.indexOf(this.preference);
+        this.set(MOTION_PREFERENCES[(index + 1) % MOTION_PREFERENCES.length]);
+    }
+
+    // Apply the level to the stylesheet and tell everyone else
+    update() {
+        this.level = this.resolve();
+        document.documentElement.dataset.motion = this.level;
+        bus.emit('motion:preference-change', {
+            level: this.level,
+            reduced: this.level !== 'full',
+            preference: this.preference
+        });
+    }
+
+    restore() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return MOTION_PREFERENCES.includes(stored) ? stored : 'auto';
+        } catch {
+            return 'auto';
+        }
+    }
+
+    save() {
+        try {
+            if (this.preference === 'auto') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, this.preference);
+            }
+        } catch (error) {
+            console.warn('Failed to persist motion preference:', error);
+        }
+    }
+
+    destroy() {
+        this.query?.removeEventListener('change', this.handleSystemChange);
+        this.query = null;
+    }
+}
+
+// Navbar button stepping through the preferences; its label shows the current one
+export class MotionToggle {
+    /**
+     * @param {MotionController} controller
+     * @param {Object} [options]
+     * @param {string} [options.selector] - Buttons to bind
+     */
+    constructor(controller, { selector = '.motion-toggle' } = {}) {
+        this.controller = controller;
+        this.selector = selector;
+        this.buttons = [];
+        this.unsubscribe = null;
+
+        this.handleClick = () => this.controller.cycle();
+    }
+
+    init() {
+        this.buttons = [...document.querySelectorAll(this.selector)];
+        this.buttons.forEach(button => button.addEventListener('click', this.handleClick));
+        this.unsubscribe = bus.on('motion:preference-change', ({ level, preference }) => {
+            this.render(level, preference);
+        }, { replay: true });
+        return this;
+    }
+
+    render(level, preference) {
+        const label = preference === 'auto' ? `auto (${level})` : level;
+        this.buttons.forEach(button => {
+            button.dataset.level = level;
+            button.setAttribute('aria-label', `Animations: ${label}. Click to change`);
+            button.title = `Animations: ${label}`;
+            const text = button.querySelector('.motion-toggle-label');
+            if (text) {
+                text.textContent = `motion: ${preference}`;
+            }
+        });
+    }
+
+    destroy() {
+        this.buttons.forEach(button => button.removeEventListener('click', this.handleClick));
+        this.buttons = [];
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+    }
+}
+
+export const motion = new MotionController();
+
+export const motionCommand = Object.freeze({
+    name: 'motion',
+    usage: 'motion [auto|full|reduced|off]',
+    description: 'Show or set how much the site animates',
+    complete: word => MOTION_PREFERENCES.filter(preference => preference.startsWith(word)),
+    run({ argv, stdout, stderr }) {
+        if (argv.length === 0) {
+            const source = motion.preference === 'auto'
+                ? `following the system setting (${motion.systemReduced ? 'reduce' : 'no preference'})`
+                : 'set by you';
+            stdout.write(`motion: ${motion.level}, ${source}`);
+            return 0;
+        }
+
+        const [preference] = argv;
+        if (argv.length > 1 || !MOTION_PREFERENCES.includes(preference)) {
+            stderr.write(`Usage: motion [${MOTION_PREFERENCES.join('|')}]`);
+            return 2;
+        }
+        motion.set(preference);
+        stdout.write(`motion: ${motion.level}${preference === 'auto' ? ' (following the system setting)' : ''}`);
+        return 0;
+    }
+});
+
+export default motion;
@@ -0,0 +1,41 @@
+// Line-oriented output stream used for command stdout/stderr and pipes
+
+export class OutputStream {
+    /**
+     * @param {Function} [sink] - Receives each `{text, type}` entry as it is written;
+     *     without a sink entries are buffered for the next pipeline stage
+     */
+    constructor(sink = null) {
+        this.sink = sink;
+        this.entries = [];
+        this.written = 0;
+    }
+
+    // Write text, splitting embedded newlines into separate lines
+    write(text = '', type = '') {
+        String(text).split('\n').forEach(line => {
+            const entry = { text: line, type };
+            this.written++;
+            if (this.sink) {
+                this.sink(entry);
+            } else {
+                this.entries.push(entry);
+            }
+        });
+    }
+
+    writeLines(lines, type = '') {
+        lines.forEach(line => this.write(line, type));
+    }
+
+    // Buffered lines as plain strings
+    lines() {
+        return this.entries.map(entry => entry.text);
+    }
+
+    text() {
+        return this.lines().join('\n');
+    }
+}
+
+export default OutputStream;
@@ -0,0 +1,11 @@
+// Module worker that solves contact form proof-of-work stamps off the main thread
+import { solveStamp } from './proof-of-work.js';
+
+self.addEventListener('message', async (e) => {
+    const { id, stamp } = e.data;
+    try {
+        self.postMessage({ id, ...(await solveStamp(stamp)) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
@@ -0,0 +1,286 @@
+// Filter bar for projects.html: tech-tag chips, free-text search and sorting
+// The state lives in the query string (?q=&tag=&sort=) so filtered views can be shared
+import anime from './anime.js';
+import { debounce } from './utils.js';
+import { bus } from './event-bus.js';
+
+export const SORT_OPTIONS = Object.freeze(['featured', 'newest', 'oldest', 'name']);
+const DEFAULT_SORT = 'featured';
+
+/**
+ * Read the filter state from a query string
+ * @param {string} search - e.g. location.search
+ * @returns {{query: string, tags: string[], sort: string}}
+ */
+export function parseFilterState(search = '') {
+    const params = new URLSearchParams(search);
+    const sort = params.get('sort');
+    return {
+        query: (params.get('q') || '').trim(),
+        tags: params.getAll('tag').filter(Boolean),
+        sort: SORT_OPTIONS.includes(sort) ? sort : DEFAULT_SORT
+    };
+}
+
+// Inverse of parseFilterState; defaults are left out to keep URLs short
+export function serializeFilterState({ query, tags, sort }) {
+    const params = new URLSearchParams();
+    if (query) params.set('q', query);
+    tags.forEach(tag => params.append('tag', tag));
+    if (sort !== DEFAULT_SORT) params.set('sort', sort);
+    const search = params.toString();
+    return search ? `?${search}` : '';
+}
+
+// Every selected tag must be present and every search word must appear in the title or summary
+export function matchesFilters(project, { query, tags }) {
+    const projectTags = project.tech.map(tag => tag.toLowerCase());
+    if (!tags.every(tag => projectTags.includes(tag.toLowerCase()))) {
+        return false;
+    }
+
+    const haystack = `${project.title}\n${project.summary}`.toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => haystack.includes(word));
+}
+
+// Ongoing projects count as the most recent; otherwise the latest date we know of
+function recency(project) {
+    if (!project.ended && project.status === 'active') return '9999';
+    return [project.started, project.ended, project.updated].filter(Boolean).sort().pop();
+}
+
+const byName = (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+
+export function sortProjects(projects, sort = DEFAULT_SORT) {
+    const sorted = [...projects];
+    if (sort === 'name') {
+        sorted.sort(byName);
+    } else if (sort === 'newest' || sort === 'oldest') {
+        const direction = sort === 'newest' ? -1 : 1;
+        sorted.sort((a, b) => direction * recency(a).localeCompare(recency(b)) || byName(a, b));
+    }
+    return sorted;
+}
+
+// Distinct tags, most used first
+export function collectTags(projects) {
+    const counts = new Map();
+    projects.forEach(project => project.tech.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
+    return [...counts.entries()]
+        .sort(([a, countA], [b, countB]) => countB - countA || a.localeCompare(b))
+        .map(([tag, count]) => ({ tag, count }));
+}
+
+export class ProjectFilters {
+    /**
+     * @param {HTMLFormElement} form - The .project-filters form
+     * @param {import('./projects.js').ProjectsPage} page - Page whose cards are filtered
+     */
+    constructor(form, page) {
+        this.form = form;
+        this.page = page;
+        this.state = parseFilterState(window.location.search);
+        this.runId = 0;
+        this.motionLevel = 'full';
+        this.subscriptions = null;
+
+        this.searchInput = form.querySelector('[name="q"]');
+        this.sortSelect = form.querySelector('[name="sort"]');
+        this.tagGroup = form.querySelector('.filter-tags');
+        this.summary = form.querySelector('.filter-summary');
+        this.clearButton = form.querySelector('.filter-clear');
+
+        this.handleSearch = debounce(this.handleSearch.bind(this), 200);
+        this.handleSort = this.handleSort.bind(this);
+        this.handleTagClick = this.handleTagClick.bind(this);
+        this.handleClear = this.handleClear.bind(this);
+        this.handleRouteUpdate = this.handleRouteUpdate.bind(this);
+        this.handleSubmit = e => e.preventDefault();
+    }
+
+    init() {
+        this.renderTags();
+        this.syncControls();
+
+        this.searchInput?.addEventListener('input', this.handleSearch);
+        this.sortSelect?.addEventListener('change', this.handleSort);
+        this.tagGroup?.addEventListener('click', this.handleTagClick);
+        this.clearButton?.addEventListener('click', this.handleClear);
+        this.form.addEventListener('submit', this.handleSubmit);
+        this.subscriptions = new AbortController();
+        // Back/forward and links to this page with another query
+        bus.on('route:update', this.handleRouteUpdate, { signal: this.subscriptions.signal });
+        bus.on('motion:preference-change', ({ level }) => {
+            this.motionLevel = level;
+        }, { signal: this.subscriptions.signal, replay: true });
+
+        this.form.hidden = false;
+        this.apply({ animate: false });
+    }
+
+    renderTags() {
+        if (!this.tagGroup) return;
+        const chips = collectTags(this.page.catalog.projects).map(({ tag, count }) => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'filter-chip';
+            chip.dataset.tag = tag;
+            chip.setAttribute('aria-pressed', 'false');
+            chip.textContent = tag;
+
+            const badge = document.createElement('span');
+            badge.className = 'chip-count';
+            badge.textContent = count;
+            chip.append(' ', badge);
+            return chip;
+        });
+        this.tagGroup.replaceChildren(...chips);
+    }
+
+    // Reflect the state in the controls (initial load and back/forward)
+    syncControls() {
+        if (this.searchInput) this.searchInput.value = this.state.query;
+        if (this.sortSelect) this.sortSelect.value = this.state.sort;
+        const selected = this.state.tags.map(tag => tag.toLowerCase());
+        this.tagGroup?.querySelectorAll('.filter-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(selected.includes(chip.dataset.tag.toLowerCase())));
+        });
+    }
+
+    update(changes) {
+        this.state = { ...this.state, ...changes };
+        const url = `${window.location.pathname}${serializeFilterState(this.state)}${window.location.hash}`;
+        history.replaceState(history.state, '', url);
+        this.apply();
+    }
+
+    handleSearch() {
+        this.update({ query: this.searchInput.value.trim() });
+    }
+
+    handleSort() {
+        this.update({ sort: this.sortSelect.value });
+    }
+
+    handleTagClick(e) {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+
+        const pressed = chip.getAttribute('aria-pressed') !== 'true';
+        chip.setAttribute('aria-pressed', String(pressed));
+        const tag = chip.dataset.tag;
+        const tags = this.state.tags.filter(existing => existing.toLowerCase() !== tag.toLowerCase());
+        this.update({ tags: pressed ? [...tags, tag] : tags });
+    }
+
+    handleClear() {
+        this.state = { ...this.state, query: '', tags: [] };
+        this.syncControls();
+        this.update({});
+    }
+
+    handleRouteUpdate({ url }) {
+        const state = parseFilterState(url.search);
+        // A hash change, or the entry the filters just wrote themselves
+        if (serializeFilterState(state) === serializeFilterState(this.state)) return;
+        this.state = state;
+        this.syncControls();
+        this.apply();
+    }
+
+    /**
+     * Show the matching cards in sort order, animating cards out and in
+     * @param {Object} [options]
+     * @param {boolean} [options.animate]
+     */
+    apply({ animate = true } = {}) {
+        const { projects } = this.page.catalog;
+        const visible = sortProjects(projects.filter(project => matchesFilters(project, this.state)), this.state.sort);
+        const visibleSlugs = new Set(visible.map(project => project.slug));
+
+        const cards = [...this.page.cards.values()];
+        const leaving = cards.filter(card => !card.hidden && !visibleSlugs.has(card.dataset.slug));
+        const visibleCards = visible.map(project => this.page.cards.get(project.slug)).filter(Boolean);
+        // A new sort order brings every card back in, otherwise only newly matching ones
+        const resorted = this.appliedSort !== undefined && this.appliedSort !== this.state.sort;
+        const entering = resorted ? visibleCards : visibleCards.filter(card => card.hidden);
+        this.appliedSort = this.state.sort;
+
+        // Cards slide in and out only at the full motion level
+        const canAnimate = animate && this.motionLevel === 'full';
+        const run = ++this.runId;
+        anime.remove(cards);
+
+        const finish = () => {
+            if (run !== this.runId) return;
+            leaving.forEach(card => {
+                card.hidden = true;
+            });
+            this.page.showProjects(visible);
+            cards.forEach(card => {
+                card.style.opacity = '';
+                card.style.transform = '';
+            });
+
+            if (canAnimate && entering.length > 0) {
+                // Hide before the first frame so entering cards do not flash in
+                entering.forEach(card => {
+                    card.style.opacity = '0';
+                });
+                anime({
+                    targets: entering,
+                    opacity: [0, 1],
+                    translateX: [-20, 0],
+                    delay: anime.stagger(100),
+                    duration: 600,
+                    easing: 'easeOutCubic'
+                });
+            }
+        };
+
+        if (canAnimate && leaving.length > 0) {
+            anime({
+                targets: leaving,
+                opacity: [1, 0],
+                translateX: [0, 20],
+                delay: anime.stagger(50),
+                duration: 250,
+                easing: 'easeInQuad',
+                complete: finish
+            });
+        } else {
+            finish();
+        }
+
+        this.updateSummary(visible.length, projects.length);
+    }
+
+    updateSummary(shown, total) {
+        const filtered = this.state.query !== '' || this.state.tags.length > 0;
+        if (this.clearButton) {
+            this.clearButton.hidden = !filtered;
+        }
+        if (!this.summary) return;
+
+        if (!filtered) {
+            this.summary.textContent = `${total} projects`;
+        } else if (shown === 0) {
+            this.summary.textContent = 'No projects match these filters.';
+        } else {
+            this.summary.textContent = `Showing ${shown} of ${total} projects`;
+        }
+    }
+
+    destroy() {
+        this.searchInput?.removeEventListener('input', this.handleSearch);
+        this.sortSelect?.removeEventListener('change', this.handleSort);
+        this.tagGroup?.removeEventListener('click', this.handleTagClick);
+        this.clearButton?.removeEventListener('click', this.handleClear);
+        this.form.removeEventListener('submit', this.handleSubmit);
+        this.subscriptions?.abort();
+        this.subscriptions = null;
+        this.runId++;
+    }
+}
+
+export default ProjectFilters;
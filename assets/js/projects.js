@@ -0,0 +1,432 @@
+// Projects catalog loaded from assets/data/projects.json (schema: projects.schema.json)
+// Renders the cards on projects.html and backs ~/projects in the terminal
+import { findImage, createPicture, loadImageManifest } from './responsive-images.js';
+
+export const PROJECTS_DATA_URL = '/assets/data/projects.json';
+
+export const STATUS_LABELS = Object.freeze({
+    active: 'Active Development',
+    completed: 'Completed',
+    archived: 'Archived'
+});
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}(-(0[1-9]|1[0-2]))?$/;
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+const catalogCache = new Map();
+
+const toText = lines => (Array.isArray(lines) ? lines.join('\n') : String(lines ?? ''));
+
+/**
+ * @typedef {Object} Project
+ * @property {string} slug
+ * @property {string} title
+ * @property {string} category
+ * @property {string} started - "YYYY" or "YYYY-MM"
+ * @property {string} [ended]
+ * @property {string} [updated]
+ * @property {string} summary
+ * @property {Array<{title: string, description?: string, icon?: string, code?: Object}>} features
+ * @property {string[]} tech
+ * @property {Array<{label: string, href: string, icon?: string}>} links
+ */
+
+// Check required fields and fill in defaults; throws with the offending field
+function normalizeProject(raw, categoryIds) {
+    const fail = message => {
+        throw new Error(`Project ${raw?.slug ? `"${raw.slug}"` : 'entry'}: ${message}`);
+    };
+
+    if (!raw || typeof raw !== 'object') fail('must be an object');
+    if (!SLUG_PATTERN.test(raw.slug || '')) fail('slug must be lowercase words joined by hyphens');
+    ['title', 'summary'].forEach(field => {
+        if (typeof raw[field] !== 'string' || !raw[field].trim()) fail(`${field} is required`);
+    });
+    if (!categoryIds.has(raw.category)) fail(`unknown category "${raw.category}"`);
+    ['started', 'ended', 'updated'].forEach(field => {
+        if ((field === 'started' || raw[field] !== undefined) && !DATE_PATTERN.test(raw[field] || '')) {
+            fail(`${field} must be YYYY or YYYY-MM`);
+        }
+    });
+    if (raw.status !== undefined && !STATUS_LABELS[raw.status]) fail(`unknown status "${raw.status}"`);
+
+    return {
+        ...raw,
+        features: (raw.features || []).map(feature => (typeof feature === 'string' ? { title: feature } : feature)),
+        tech: raw.tech || [],
+        links: raw.links || [],
+        usage: raw.usage || [],
+        metrics: raw.metrics || []
+    };
+}
+
+/**
+ * Validate a parsed catalog; invalid projects are skipped with a warning
+ * @returns {{categories: Array<{id: string, title: string}>, projects: Project[]}}
+ */
+export function normalizeCatalog(data) {
+    const categories = Array.isArray(data?.categories) ? data.categories : [];
+    const categoryIds = new Set(categories.map(category => category.id));
+    const slugs = new Set();
+    const projects = [];
+
+    (Array.isArray(data?.projects) ? data.projects : []).forEach(raw => {
+        try {
+            const project = normalizeProject(raw, categoryIds);
+            if (slugs.has(project.slug)) {
+                throw new Error(`Project "${project.slug}": duplicate slug`);
+            }
+            slugs.add(project.slug);
+            projects.push(project);
+        } catch (error) {
+            console.warn(error.message);
+        }
+    });
+
+    return { categories, projects };
+}
+
+// Fetch once per URL; the page and the terminal share the same request
+export function loadProjects(url = PROJECTS_DATA_URL) {
+    if (!catalogCache.has(url)) {
+        const request = fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load projects (${response.status})`);
+                }
+                return response.json();
+            })
+            .then(normalizeCatalog);
+        // Let a later call retry after a failure
+        request.catch(() => catalogCache.delete(url));
+        catalogCache.set(url, request);
+    }
+    return catalogCache.get(url);
+}
+
+function formatDate(date) {
+    const [year, month] = date.split('-');
+    return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+}
+
+// "2023 - Present", "2023", "2022 - 2023"
+export function formatDateRange({ started, ended, status }) {
+    if (!ended) {
+        return status === 'active' ? `${formatDate(started)} - Present` : formatDate(started);
+    }
+    return ended === started ? formatDate(started) : `${formatDate(started)} - ${formatDate(ended)}`;
+}
+
+// Plain-text write-up used for `cat ~/projects/<slug>`
+export function projectToText(project) {
+    const lines = [`# ${project.title}`];
+    const meta = [formatDateRange(project)];
+    if (project.status) meta.push(STATUS_LABELS[project.status]);
+    if (project.version) meta.push(`v${project.version}`);
+    if (project.updated) meta.push(`updated ${formatDate(project.updated)}`);
+    lines.push(meta.join(' | '), '', project.summary);
+
+    if (project.features.length > 0) {
+        lines.push('', '[FEATURES]');
+        project.features.forEach(feature => {
+            lines.push(`- ${feature.title}${feature.description ? `: ${feature.description}` : ''}`);
+        });
+    }
+    if (project.usage.length > 0) {
+        lines.push('', '[USAGE]');
+        project.usage.forEach((step, index) => {
+            lines.push(`${index + 1}. ${step.title}`);
+            if (step.code) {
+                lines.push(...toText(step.code.code).split('\n').map(line => `    ${line}`));
+            }
+        });
+    }
+    if (project.metrics.length > 0) {
+        lines.push('', '[METRICS]');
+        project.metrics.forEach(metric => lines.push(`- ${metric.label}: ${metric.value}`));
+    }
+    if (project.tech.length > 0) {
+        lines.push('', `[TECH] ${project.tech.join(', ')}`);
+    }
+    project.links.filter(link => link.href && link.href !== '#').forEach(link => {
+        lines.push(`[LINK] ${link.label}: ${link.href}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Expose every project as a file under a VFS directory
+ * @param {import('./vfs.js').VirtualFileSystem} vfs
+ * @param {{projects: Project[]}} catalog
+ * @param {string} [directory]
+ */
+export function mountProjects(vfs, catalog, directory = '~/projects') {
+    catalog.projects.forEach(project => {
+        vfs.mount(`${directory}/${project.slug}`, { type: 'file', content: projectToText(project) });
+    });
+}
+
+function createElement(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+}
+
+function createIcon(classes) {
+    const icon = createElement('i', classes);
+    icon.setAttribute('aria-hidden', 'true');
+    return icon;
+}
+
+function createHeading(tag, className, icon, text) {
+    const heading = createElement(tag, className);
+    heading.append(createIcon(icon), ` ${text}`);
+    return heading;
+}
+
+// Markup matches the .code-sample/.terminal-output blocks the stylesheet already targets
+function createCodeSample({ file, language, code, output }) {
+    const wrapper = createElement('div', output ? 'terminal-output' : 'code-sample');
+
+    // Program output is not worth copying; every code sample gets a copy button
+    if (!output) {
+        const header = createElement('div', 'code-header');
+        const copy = createElement('button', 'copy-btn');
+        copy.type = 'button';
+        copy.setAttribute('aria-label', 'Copy code');
+        copy.append(createIcon('fas fa-copy'));
+        header.append(createElement('span', 'file-name', file || language), copy);
+        wrapper.append(header);
+    }
+
+    const pre = createElement('pre');
+    pre.append(createElement('code', `language-${language}`, toText(code)));
+    wrapper.append(pre);
+    return wrapper;
+}
+
+function createSection(marker, title) {
+    const section = createElement('section', 'project-section');
+    const heading = createElement('h4');
+    heading.append(createElement('span', 'terminal-marker', `[${marker}]`), title);
+    section.append(heading);
+    return section;
+}
+
+// Cards take the full width on phones and at most half of it on wider screens
+const PREVIEW_SIZES = '(max-width: 768px) 100vw, 50vw';
+
+/**
+ * Build the card for one project
+ * @param {Project} project
+ * @param {Object} [options]
+ * @param {Object} [options.images] - Image manifest; previews it lists become responsive pictures
+ * @returns {HTMLElement}
+ */
+export function renderProjectCard(project, { images = null } = {}) {
+    const card = createElement('article', 'project-card');
+    card.id = `project-${project.slug}`;
+    card.dataset.slug = project.slug;
+
+    // Window chrome
+    const header = createElement('header', 'project-header');
+    const bar = createElement('div', 'terminal-bar');
+    const buttons = createElement('div', 'terminal-buttons');
+    ['close', 'minimize', 'maximize'].forEach(name => buttons.append(createElement('span', `terminal-button ${name}`)));
+    bar.append(buttons, createElement('span', 'terminal-title', `${project.slug}.sh`));
+    header.append(bar);
+
+    const content = createElement('div', 'project-content');
+
+    const meta = createElement('div', 'project-meta');
+    meta.append(createHeading('h3', 'project-title', project.icon || 'fas fa-folder', project.title));
+    const stats = createElement('div', 'project-stats');
+    const addStat = (icon, text) => {
+        const stat = createElement('span', 'project-stat');
+        stat.append(createIcon(icon), ` ${text}`);
+        stats.append(stat);
+    };
+    addStat('fas fa-clock', formatDateRange(project));
+    if (project.status) addStat(`fas fa-circle${project.status === 'active' ? ' active' : ''}`, STATUS_LABELS[project.status]);
+    if (project.version) addStat('fas fa-code-branch', `v${project.version}`);
+    if (project.updated) addStat('fas fa-calendar', `Updated ${formatDate(project.updated)}`);
+    meta.append(stats);
+    content.append(meta);
+
+    if (project.image) {
+        const preview = createElement('figure', 'project-preview');
+        const entry = findImage(images, project.image.src);
+        if (entry) {
+            preview.append(createPicture(entry, { alt: project.image.alt, className: 'project-image', sizes: PREVIEW_SIZES }));
+        } else {
+            const image = createElement('img', 'project-image');
+            image.src = project.image.src;
+            image.alt = project.image.alt;
+            image.loading = 'lazy';
+            preview.append(image);
+        }
+        if (project.image.caption) {
+            preview.append(createElement('figcaption', '', project.image.caption));
+        }
+        content.append(preview);
+    }
+
+    content.append(createElement('p', 'project-description', project.summary));
+
+    if (project.diagram) {
+        const section = createSection('ARCHITECTURE', 'Technical Architecture');
+        const diagram = createElement('div', 'architecture-diagram');
+        diagram.append(createElement('pre', 'ascii-diagram', toText(project.diagram)));
+        section.append(diagram);
+        content.append(section);
+    }
+
+    if (project.features.length > 0) {
+        const features = createElement('div', 'project-features');
+        features.append(createHeading('h4', 'features-title', 'fas fa-star', 'Key Features'));
+        const list = createElement('ul', 'features-list');
+        project.features.forEach(feature => {
+            const item = createElement('li');
+            if (feature.description || feature.code) {
+                item.append(createElement('strong', '', feature.title));
+                if (feature.description) item.append(createElement('p', '', feature.description));
+                if (feature.code) item.append(createCodeSample(feature.code));
+            } else {
+                item.append(createIcon(feature.icon || 'fas fa-angle-right'), feature.title);
+            }
+            list.append(item);
+        });
+        features.append(list);
+        content.append(features);
+    }
+
+    if (project.usage.length > 0) {
+        const section = createSection('USAGE', 'Implementation Guide');
+        const steps = createElement('ol', 'usage-steps');
+        project.usage.forEach(step => {
+            const item = createElement('li');
+            item.append(createElement('h5', '', step.title));
+            if (step.code) item.append(createCodeSample(step.code));
+            steps.append(item);
+        });
+        section.append(steps);
+        content.append(section);
+    }
+
+    if (project.metrics.length > 0) {
+        const section = createSection('TESTING', 'Performance & Testing');
+        const list = createElement('ul', 'test-metrics');
+        project.metrics.forEach(({ label, value }) => {
+            const item = createElement('li', '', `${label}: `);
+            item.append(createElement('span', 'metric', value));
+            list.append(item);
+        });
+        section.append(list);
+        content.append(section);
+    }
+
+    if (project.tech.length > 0) {
+        const tech = createElement('div', 'project-tech');
+        tech.append(createHeading('h4', 'tech-title', 'fas fa-tools', 'Technologies'));
+        const list = createElement('ul', 'tech-list');
+        project.tech.forEach(name => list.append(createElement('li', '', name)));
+        tech.append(list);
+        content.append(tech);
+    }
+
+    if (project.links.length > 0) {
+        const links = createElement('div', 'project-links');
+        project.links.forEach(({ label, href, icon }) => {
+            const link = createElement('a', 'project-link');
+            link.href = href;
+            if (/^https?:/.test(href)) {
+                link.target = '_blank';
+                link.rel = 'noopener noreferrer';
+            }
+            link.append(createIcon(icon || 'fas fa-link'), ` ${label}`);
+            links.append(link);
+        });
+        content.append(links);
+    }
+
+    card.append(header, content);
+    return card;
+}
+
+// Fills every [data-project-category] grid on the page with its projects
+export class ProjectsPage {
+    constructor(root = document, { url = PROJECTS_DATA_URL } = {}) {
+        this.root = root;
+        this.url = url;
+        this.catalog = null;
+        this.images = null;
+        this.grids = new Map();
+        this.cards = new Map();
+    }
+
+    async init() {
+        this.root.querySelectorAll('[data-project-category]').forEach(grid => {
+            this.grids.set(grid.dataset.projectCategory, grid);
+        });
+        if (this.grids.size === 0) return;
+
+        try {
+            [this.catalog, this.images] = await Promise.all([loadProjects(this.url), loadImageManifest()]);
+            this.render();
+        } catch (error) {
+            console.error('Projects failed to load:', error);
+            this.grids.forEach(grid => {
+                grid.setAttribute('aria-busy', 'false');
+                grid.replaceChildren(createElement('p', 'project-grid-message', 'Projects could not be loaded. Please refresh the page.'));
+            });
+        }
+    }
+
+    render(projects = this.catalog.projects) {
+        this.cards.clear();
+        this.grids.forEach((grid, category) => {
+            const cards = projects
+                .filter(project => project.category === category)
+                .map(project => {
+                    const card = renderProjectCard(project, { images: this.images });
+                    this.cards.set(project.slug, card);
+                    return card;
+                });
+            grid.replaceChildren(...cards);
+            grid.setAttribute('aria-busy', 'false');
+        });
+        this.root.dispatchEvent?.(new CustomEvent('projects:rendered', { detail: { count: projects.length } }));
+    }
+
+    /**
+     * Show only the given projects, in the given order within each grid
+     * Category sections left without cards are hidden
+     * @param {Project[]} projects
+     */
+    showProjects(projects) {
+        const shown = new Set();
+        projects.forEach(project => {
+            const card = this.cards.get(project.slug);
+            const grid = this.grids.get(project.category);
+            if (!card || !grid) return;
+            card.hidden = false;
+            // Re-appending moves the card to the end, building up the requested order
+            grid.appendChild(card);
+            shown.add(project.slug);
+        });
+
+        this.cards.forEach((card, slug) => {
+            card.hidden = !shown.has(slug);
+        });
+        this.grids.forEach(grid => {
+            const section = grid.closest('.project-category-section');
+            if (section) {
+                section.hidden = ![...grid.children].some(card => card.dataset.slug && !card.hidden);
+            }
+        });
+    }
+}
+
+export default ProjectsPage;
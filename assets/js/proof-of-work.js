@@ -0,0 +1,85 @@
+// Hashcash-style proof of work bound to a contact message
+// Shared by the browser worker and the local stub server; relies only on Web Crypto
+
+export const PROOF_OF_WORK = Object.freeze({
+    version: 1,
+    // ~16k SHA-256 attempts on average, well under a second in a worker
+    bits: 14,
+    // How long a solved stamp stays valid
+    maxAgeMs: 10 * 60 * 1000,
+    // Tolerated clock difference between browser and server
+    clockSkewMs: 60 * 1000
+});
+
+const encoder = new TextEncoder();
+
+export async function sha256Hex(text) {
+    const buffer = await crypto.subtle.digest('SHA-256', encoder.encode(text));
+    return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function leadingZeroBits(hex) {
+    let bits = 0;
+    for (const char of hex) {
+        const nibble = parseInt(char, 16);
+        if (nibble === 0) {
+            bits += 4;
+            continue;
+        }
+        return bits + Math.clz32(nibble) - 28;
+    }
+    return bits;
+}
+
+// Digest of the message fields, so a stamp cannot be reused for a different message
+export function digestContact({ name, email, message }) {
+    return sha256Hex(`${name}\n${email}\n${message}`);
+}
+
+export async function createStamp(payload, { bits = PROOF_OF_WORK.bits, issuedAt = Date.now() } = {}) {
+    return `${PROOF_OF_WORK.version}:${bits}:${issuedAt}:${await digestContact(payload)}`;
+}
+
+/**
+ * Find a nonce whose hash with the stamp has the required leading zero bits
+ * @param {string} stamp - Stamp from createStamp
+ * @param {Object} [options]
+ * @param {number} [options.maxAttempts] - Give up after this many hashes
+ * @returns {Promise<{stamp: string, nonce: number}>}
+ */
+export async function solveStamp(stamp, { maxAttempts = 1 << 24 } = {}) {
+    const bits = Number(stamp.split(':')[1]);
+    for (let nonce = 0; nonce < maxAttempts; nonce++) {
+        if (leadingZeroBits(await sha256Hex(`${stamp}:${nonce}`)) >= bits) {
+            return { stamp, nonce };
+        }
+    }
+    throw new Error('Proof of work not found');
+}
+
+/**
+ * Check a solved stamp against the message it claims to cover
+ * @returns {Promise<string|null>} Reason for rejection, or null when valid
+ */
+export async function verifyProofOfWork(pow, payload, { bits = PROOF_OF_WORK.bits, now = Date.now() } = {}) {
+    if (!pow || typeof pow.stamp !== 'string' || !Number.isInteger(pow.nonce) || pow.nonce < 0) {
+        return 'Missing proof of work';
+    }
+
+    const [version, stampBits, issuedAt, digest] = pow.stamp.split(':');
+    if (Number(version) !== PROOF_OF_WORK.version || Number(stampBits) < bits) {
+        return 'Unsupported proof of work';
+    }
+
+    const age = now - Number(issuedAt);
+    if (!Number.isFinite(age) || age > PROOF_OF_WORK.maxAgeMs || age < -PROOF_OF_WORK.clockSkewMs) {
+        return 'Proof of work expired';
+    }
+    if (digest !== await digestContact(payload)) {
+        return 'Proof of work does not match message';
+    }
+    if (leadingZeroBits(await sha256Hex(`${pow.stamp}:${pow.nonce}`)) < Number(stampBits)) {
+        return 'Invalid proof of work';
+    }
+    return null;
+}
@@ -0,0 +1,168 @@
+// <picture> markup from the manifest written by scripts/resize-images.js
+// renderPictureHtml is used by scripts/build-pictures.js for the static pages;
+// createPicture and ResponsiveImages do the same for images rendered in the browser.
+
+export const IMAGE_MANIFEST_URL = '/assets/data/images.json';
+
+// Smallest files first: browsers take the first <source> whose type they support
+const FORMAT_ORDER = ['avif', 'webp', 'jpeg', 'png'];
+const MIME_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' };
+// The <img> fallback must be a format every browser decodes
+const FALLBACK_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Look up a manifest entry by its site path, e.g. "assets/images/oscp-badge.png"
+ * @param {{sourceDir: string, images: Object}} manifest
+ * @param {string} src
+ * @returns {Object|null}
+ */
+export function findImage(manifest, src) {
+    if (!manifest?.images || !src) return null;
+    const path = src.replace(/^\.?\//, '');
+    const prefix = `${manifest.sourceDir}/`;
+    return path.startsWith(prefix) ? manifest.images[path.slice(prefix.length)] || null : null;
+}
+
+const srcset = variants => variants.map(({ src, width }) => `${src} ${width}w`).join(', ');
+
+/**
+ * Work out the <source> list and the fallback <img> for a manifest entry
+ * @param {Object} entry - A manifest image entry
+ * @returns {{sources: Array<{type: string, srcset: string}>, img: {src: string, srcset: string, width: number, height: number}}}
+ */
+export function pictureSources(entry) {
+    const formats = FORMAT_ORDER.filter(format => entry.sources[format]?.length);
+    const fallbackFormat = FALLBACK_FORMATS.find(format => formats.includes(format)) || formats[formats.length - 1];
+    const fallback = entry.sources[fallbackFormat];
+    const largest = fallback[fallback.length - 1];
+
+    return {
+        sources: formats
+            .filter(format => format !== fallbackFormat)
+            .map(format => ({ type: MIME_TYPES[format], srcset: srcset(entry.sources[format]) })),
+        img: {
+            src: largest.src,
+            srcset: srcset(fallback),
+            width: largest.width,
+            height: largest.height
+        }
+    };
+}
+
+/**
+ * Attributes for the <img> inside the picture. Images are lazy unless marked eager
+ * (above the fold). Opaque images show the blurred placeholder until they load;
+ * transparent ones would show it through their see-through parts, so they get none.
+ */
+function imageAttributes(entry, { alt = '', className = '', sizes = '100vw', eager = false } = {}) {
+    const { img } = pictureSources(entry);
+    const placeholder = entry.placeholder && !entry.hasAlpha;
+    const attributes = {
+        src: img.src,
+        srcset: img.srcset,
+        sizes,
+        width: img.width,
+        height: img.height,
+        alt,
+        class: [placeholder ? 'blur-up' : '', className].filter(Boolean).join(' '),
+        loading: eager ? 'eager' : 'lazy',
+        decoding: 'async'
+    };
+    if (placeholder) {
+        attributes.style = `--placeholder: url('${entry.placeholder}')`;
+    }
+    if (!attributes.class) delete attributes.class;
+    return attributes;
+}
+
+const escapeAttribute = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+const attributesHtml = attributes => Object.entries(attributes)
+    .map(([name, value]) => ` ${name}="${escapeAttribute(value)}"`)
+    .join('');
+
+/**
+ * Build <picture> markup for the static pages
+ * @param {string} path - Manifest key, kept on the element so the build can find it again
+ * @param {Object} entry - Manifest entry
+ * @param {Object} [options]
+ * @param {string} [options.alt]
+ * @param {string} [options.className] - Classes for the <img>
+ * @param {string} [options.sizes]
+ * @param {boolean} [options.eager] - Load immediately instead of when scrolled near
+ * @param {string} [indent] - Leading whitespace of the original tag
+ * @returns {string}
+ */
+export function renderPictureHtml(path, entry, options = {}, indent = '') {
+    const { sources } = pictureSources(entry);
+    const attributes = imageAttributes(entry, options);
+    if (options.eager) attributes['data-eager'] = '';
+    return [
+        `<picture data-image="${escapeAttribute(path)}">`,
+        ...sources.map(source => `${indent}    <source${attributesHtml({ type: source.type, srcset: source.srcset, sizes: attributes.sizes })}>`),
+        `${indent}    <img${attributesHtml(attributes)}>`,
+        `${indent}</picture>`
+    ].join('\n');
+}
+
+/**
+ * Build a <picture> element in the browser
+ * @param {Object} entry - Manifest entry
+ * @param {Object} [options] - As for renderPictureHtml
+ * @returns {HTMLPictureElement}
+ */
+export function createPicture(entry, options = {}) {
+    const picture = document.createElement('picture');
+    const { sources } = pictureSources(entry);
+    const attributes = imageAttributes(entry, options);
+
+    sources.forEach(({ type, srcset: sourceSet }) => {
+        const source = document.createElement('source');
+        source.type = type;
+        source.srcset = sourceSet;
+        source.sizes = attributes.sizes;
+        picture.append(source);
+    });
+
+    const img = document.createElement('img');
+    Object.entries(attributes).forEach(([name, value]) => img.setAttribute(name, value));
+    picture.append(img);
+    watchPlaceholder(img);
+    return picture;
+}
+
+let manifestRequest = null;
+
+// A missing manifest (images not built yet) resolves to null so pages keep their plain <img>
+export function loadImageManifest(url = IMAGE_MANIFEST_URL) {
+    if (!manifestRequest) {
+        manifestRequest = fetch(url)
+            .then(response => (response.ok ? response.json() : null))
+            .catch(error => {
+                console.warn('Image manifest unavailable:', error);
+                return null;
+            });
+    }
+    return manifestRequest;
+}
+
+// Drop the blurred placeholder once the real image has loaded
+function watchPlaceholder(img) {
+    const reveal = () => img.classList.add('is-loaded');
+    if (img.complete && img.naturalWidth > 0) {
+        reveal();
+    } else {
+        img.addEventListener('load', reveal, { once: true });
+        // Keep the placeholder visible if the image fails rather than a broken icon over it
+        img.addEventListener('error', () => img.classList.add('is-failed'), { once: true });
+    }
+}
+
+export class ResponsiveImages {
+    // Pictures written by scripts/build-pictures.js are already in the markup
+    init(root = document) {
+        root.querySelectorAll('img.blur-up').forEach(watchPlaceholder);
+        return this;
+    }
+}
+
+export default ResponsiveImages;
@@ -0,0 +1,298 @@
+// Client-side navigation between the site's pages
+// Links to other pages are fetched and only the page regions are swapped, so the
+// terminal, its history and the background effects survive moving around the site.
+// Page modules follow along through route:leave and route:change on the event bus; a new
+// query or hash on the same page keeps the content and is announced as route:update.
+import anime from './anime.js';
+import { bus } from './event-bus.js';
+import { movement } from './motion.js';
+
+// Swapped on navigation, in document order; the header and anything outside stays
+const REGION_SELECTORS = ['#main', 'body > footer'];
+const CACHE_LIMIT = 8;
+const TRANSITION_DURATION = 250;
+// A stylesheet that never reports back must not hold the page hostage
+const STYLESHEET_TIMEOUT = 2000;
+
+// "/" and "/index.html" are the same page
+const pagePath = url => url.pathname.replace(/\/index\.html$/, '/');
+const samePath = (a, b) => pagePath(a) === pagePath(b);
+const samePage = (a, b) => samePath(a, b) && a.search === b.search;
+const isPageUrl = url => url.origin === window.location.origin && /(?:\/|\.html)$/.test(url.pathname);
+
+export class Router {
+    constructor({ regions = REGION_SELECTORS, duration = TRANSITION_DURATION } = {}) {
+        this.regions = regions;
+        this.duration = duration;
+        this.cache = new Map();
+        this.current = null;
+        this.navigationId = 0;
+        this.started = false;
+        this.motionLevel = 'full';
+        this.unsubscribe = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handlePopState = this.handlePopState.bind(this);
+    }
+
+    start() {
+        if (this.started || !window.history?.pushState || !document.querySelector(this.regions[0])) {
+            return this;
+        }
+        this.started = true;
+        this.current = new URL(window.location.href);
+
+        // Scroll positions are kept in the history entries and restored after each swap
+        history.scrollRestoration = 'manual';
+        document.addEventListener('click', this.handleClick);
+        window.addEventListener('popstate', this.handlePopState);
+        this.unsubscribe = bus.on('motion:preference-change', ({ level }) => {
+            this.motionLevel = level;
+        }, { replay: true });
+        return this;
+    }
+
+    /**
+     * Go to a page of the site, falling back to a full load for anything else
+     * @param {string|URL} target
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Replace the current history entry instead of adding one
+     */
+    async navigate(target, { replace = false } = {}) {
+        const url = new URL(target, window.location.href);
+        if (!this.started || !isPageUrl(url)) {
+            window.location.assign(url.href);
+            return;
+        }
+
+        this.saveScrollPosition();
+        if (samePath(url, this.current)) {
+            const previous = this.location;
+            this.current = url;
+            if (url.href !== previous.href) {
+                history[replace ? 'replaceState' : 'pushState'](null, '', url.href);
+                bus.emit('route:update', { url, previous });
+            }
+            this.scrollTo(url);
+            return;
+        }
+        await this.render(url, { mode: replace ? 'replace' : 'push' });
+    }
+
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest?.('a[href]');
+        if (!link || (link.target && link.target !== '_self') || link.hasAttribute('download')) return;
+
+        const url = new URL(link.href);
+        // In-page anchors keep their own smooth scrolling
+        if (!isPageUrl(url) || samePage(url, this.location)) return;
+
+        e.preventDefault();
+        this.navigate(url);
+    }
+
+    handlePopState(e) {
+        const url = new URL(window.location.href);
+        // Query and hash changes within a page (filters, anchors) are handled by the page itself
+        if (samePath(url, this.current)) {
+            const previous = this.current;
+            this.current = url;
+            bus.emit('route:update', { url, previous });
+            return;
+        }
+        this.render(url, { scrollY: e.state?.scrollY ?? 0 });
+    }
+
+    // Pages may rewrite their own query with replaceState (the project filters do), so
+    // same-page checks go by the address bar rather than the last route
+    get location() {
+        return new URL(window.location.href);
+    }
+
+    saveScrollPosition() {
+        history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+    }
+
+    // Fetched pages are cached as text; each visit parses a fresh copy
+    async load(url) {
+        const key = url.pathname + url.search;
+        if (!this.cache.has(key)) {
+            const request = fetch(url.href, { headers: { Accept: 'text/html' } }).then(response => {
+                if (!response.ok || !response.headers.get('content-type')?.includes('text/html')) {
+                    throw new Error(`Unexpected response (${response.status})`);
+                }
+                return response.text();
+            });
+            request.catch(() => this.cache.delete(key));
+            this.cache.set(key, request);
+            if (this.cache.size > CACHE_LIMIT) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+        }
+
+        const page = new DOMParser().parseFromString(await this.cache.get(key), 'text/html');
+        if (!page.querySelector(this.regions[0])) {
+            throw new Error(`${url.pathname} has no ${this.regions[0]} element`);
+        }
+        return page;
+    }
+
+    /**
+     * Fetch a page and transition to it
+     * @param {URL} url
+     * @param {Object} [options]
+     * @param {'push'|'replace'|null} [options.mode] - History update, null when the browser already moved
+     * @param {number|null} [options.scrollY] - Position to restore, otherwise the hash target or the top
+     */
+    async render(url, { mode = null, scrollY = null } = {}) {
+        const id = ++this.navigationId;
+        const isCurrent = () => id === this.navigationId;
+        document.documentElement.classList.add('is-routing');
+
+        try {
+            const [page] = await Promise.all([this.load(url), this.animate(this.regionElements(), 'out')]);
+            if (!isCurrent()) return;
+
+            if (mode) {
+                history[mode === 'replace' ? 'replaceState' : 'pushState']({ scrollY: 0 }, '', url.href);
+            }
+            const route = { url, previous: this.current };
+            this.current = url;
+
+            bus.emit('route:leave', route);
+            await this.syncHead(page, url);
+            if (!isCurrent()) return;
+            this.swapRegions(page);
+
+            if (scrollY !== null) {
+                window.scrollTo(0, scrollY);
+            } else {
+                this.scrollTo(url);
+            }
+            this.focusContent();
+            bus.emit('route:change', route);
+
+            await this.animate(this.regionElements(), 'in');
+        } catch (error) {
+            if (!isCurrent()) return;
+            console.warn(`Falling back to a full page load for ${url.pathname}:`, error);
+            window.location.assign(url.href);
+        } finally {
+            if (isCurrent()) {
+                document.documentElement.classList.remove('is-routing');
+            }
+        }
+    }
+
+    regionElements() {
+        return this.regions.map(selector => document.querySelector(selector)).filter(Boolean);
+    }
+
+    animate(elements, direction) {
+        if (elements.length === 0 || this.motionLevel === 'off') return Promise.resolve();
+
+        // Reduced motion keeps the crossfade without the slide
+        const leaving = direction === 'out';
+        return anime({
+            targets: elements,
+            opacity: leaving ? [1, 0] : [0, 1],
+            ...movement(this.motionLevel, { translateY: leaving ? [0, -12] : [12, 0] }),
+            duration: leaving ? this.duration * 0.8 : this.duration,
+            easing: leaving ? 'easeInQuad' : 'easeOutCubic',
+            complete: () => {
+                // A leftover transform would become the containing block for fixed descendants
+                if (!leaving) {
+                    elements.forEach(element => {
+                        element.style.removeProperty('opacity');
+                        element.style.removeProperty('transform');
+                    });
+                }
+            }
+        }).finished;
+    }
+
+    // Title, description and page-specific stylesheets; resolves once new stylesheets have loaded
+    syncHead(page, url) {
+        document.title = page.title;
+        const description = page.querySelector('meta[name="description"]');
+        document.querySelector('meta[name="description"]')?.setAttribute('content', description?.content ?? '');
+
+        const stylesheets = [...page.head.querySelectorAll('link[rel="stylesheet"], link[rel="preload"][as="style"]')]
+            .filter(link => !link.closest('noscript'));
+        const wanted = new Set(stylesheets.map(link => new URL(link.getAttribute('href'), url).href));
+        const existing = new Set();
+        document.head.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+            if (wanted.has(link.href)) {
+                existing.add(link.href);
+            } else {
+                link.remove();
+            }
+        });
+
+        const loads = stylesheets
+            .filter(link => link.rel === 'stylesheet' && !existing.has(new URL(link.getAttribute('href'), url).href))
+            .map(link => new Promise(resolve => {
+                const stylesheet = document.createElement('link');
+                stylesheet.rel = 'stylesheet';
+                stylesheet.href = new URL(link.getAttribute('href'), url).href;
+                stylesheet.onload = stylesheet.onerror = resolve;
+                setTimeout(resolve, STYLESHEET_TIMEOUT);
+                document.head.appendChild(stylesheet);
+            }));
+        return Promise.all(loads);
+    }
+
+    swapRegions(page) {
+        let previous = null;
+        this.regions.forEach(selector => {
+            const current = document.querySelector(selector);
+            const next = page.querySelector(selector);
+            if (!next) {
+                current?.remove();
+                return;
+            }
+
+            const node = document.adoptNode(next);
+            if (current) {
+                current.replaceWith(node);
+            } else if (previous) {
+                previous.after(node);
+            } else {
+                document.body.appendChild(node);
+            }
+            previous = node;
+        });
+    }
+
+    scrollTo(url) {
+        const target = url.hash && document.getElementById(decodeURIComponent(url.hash.slice(1)));
+        if (target) {
+            target.scrollIntoView();
+        } else {
+            window.scrollTo(0, 0);
+        }
+    }
+
+    // Move focus into the new content so keyboard and screen reader users start there
+    focusContent() {
+        const content = document.querySelector(this.regions[0]);
+        if (!content) return;
+        content.setAttribute('tabindex', '-1');
+        content.focus({ preventScroll: true });
+    }
+
+    destroy() {
+        document.removeEventListener('click', this.handleClick);
+        window.removeEventListener('popstate', this.handlePopState);
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        this.cache.clear();
+        this.started = false;
+    }
+}
+
+export const router = new Router();
+
+export default router;
@@ -0,0 +1,235 @@
+// Shared clock for background animation work
+// Repeating jobs and looping anime.js instances are registered against the elements they
+// animate. They run only while the tab is visible and one of those elements is in or near
+// the viewport, and carry on from where they were once both are true again. All repeating
+// jobs share one timer, and jobs whose elements have left the document are dropped, so
+// neither timers nor the nodes the jobs create pile up in a background tab.
+
+// How close to the viewport an element has to come for its jobs to resume
+const VIEWPORT_MARGIN = '100px';
+
+const toElements = elements => {
+    if (!elements) return [];
+    return (Array.isArray(elements) ? elements : [elements]).filter(element => element instanceof Element);
+};
+
+// Handle returned for every registered job
+class ScheduledTask {
+    constructor(scheduler, elements, { resume = null, suspend = null, enabled = true } = {}) {
+        this.scheduler = scheduler;
+        this.elements = elements;
+        this.resume = resume;
+        this.suspend = suspend;
+        this.enabled = enabled;
+        this.running = false;
+        this.cancelled = false;
+    }
+
+    // Owners switch a job off and on (e.g. for the motion level) without giving up its registration
+    setEnabled(enabled) {
+        if (this.cancelled || this.enabled === enabled) return;
+        this.enabled = enabled;
+        this.scheduler.refresh(this);
+    }
+
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        if (this.running) {
+            this.running = false;
+            this.suspend?.();
+        }
+        this.scheduler.remove(this);
+    }
+
+    // Every element it animates has been removed from the page
+    get orphaned() {
+        return this.elements.length > 0 && this.elements.every(element => !element.isConnected);
+    }
+}
+
+export class AnimationScheduler {
+    constructor({ rootMargin = VIEWPORT_MARGIN } = {}) {
+        this.rootMargin = rootMargin;
+        this.tasks = new Set();
+        // Element -> { inView, tasks }; elements count as in view until the observer says otherwise
+        this.elements = new Map();
+        this.observer = null;
+        this.timer = null;
+        this.started = false;
+
+        this.handleVisibilityChange = () => this.tasks.forEach(task => this.refresh(task));
+        this.tick = this.tick.bind(this);
+    }
+
+    start() {
+        if (this.started) return this;
+        this.started = true;
+
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(entries => this.handleIntersections(entries), {
+                rootMargin: this.rootMargin
+            });
+            this.elements.forEach((record, element) => this.observer.observe(element));
+        }
+        this.tasks.forEach(task => this.refresh(task));
+        return this;
+    }
+
+    /**
+     * Run a callback repeatedly while its elements are visible
+     * @param {Element|Element[]|null} elements - Elements the job animates; null ties it to the tab only
+     * @param {number|Function} delay - Milliseconds between runs, or a function of the number of runs so far
+     * @param {Function} callback - Called with the number of earlier runs
+     * @param {Object} [options]
+     * @param {boolean} [options.immediate] - Run once as soon as the job starts
+     * @param {boolean} [options.enabled] - Start switched off when false
+     * @returns {ScheduledTask}
+     */
+    every(elements, delay, callback, { immediate = false, enabled = true } = {}) {
+        const delayFor = typeof delay === 'function' ? delay : () => delay;
+        let runs = 0;
+        const task = new ScheduledTask(this, toElements(elements), {
+            enabled,
+            // Resuming waits a full delay rather than catching up on missed runs
+            resume: () => {
+                task.due = performance.now() + (immediate && runs === 0 ? 0 : delayFor(runs));
+            },
+            suspend: () => {
+                task.due = null;
+            }
+        });
+        task.due = null;
+        task.run = () => {
+            try {
+                callback(runs);
+            } catch (error) {
+                console.error('Scheduled animation job failed:', error);
+            }
+            runs++;
+            task.due = performance.now() + delayFor(runs);
+        };
+        return this.add(task);
+    }
+
+    /**
+     * Pause an anime.js instance while its elements are hidden and play it again when they return
+     * @param {Element|Element[]|null} elements - Defaults to the animation's targets
+     * @param {Object} animation - anime.js instance
+     * @param {Object} [options]
+     * @param {boolean} [options.enabled] - Start switched off (and paused) when false
+     * @returns {ScheduledTask}
+     */
+    animation(elements, animation, { enabled = true } = {}) {
+        const targets = elements ?? animation.animatables.map(({ target }) => target);
+        return this.add(new ScheduledTask(this, toElements(targets), {
+            enabled,
+            resume: () => animation.play(),
+            suspend: () => animation.pause()
+        }));
+    }
+
+    add(task) {
+        this.tasks.add(task);
+        task.elements.forEach(element => {
+            let record = this.elements.get(element);
+            if (!record) {
+                record = { inView: true, tasks: new Set() };
+                this.elements.set(element, record);
+                this.observer?.observe(element);
+            }
+            record.tasks.add(task);
+        });
+        this.refresh(task);
+        return task;
+    }
+
+    remove(task) {
+        this.tasks.delete(task);
+        task.elements.forEach(element => {
+            const record = this.elements.get(element);
+            if (!record) return;
+            record.tasks.delete(task);
+            if (record.tasks.size === 0) {
+                this.elements.delete(element);
+                this.observer?.unobserve(element);
+            }
+        });
+        this.schedule();
+    }
+
+    inView(task) {
+        return task.elements.length === 0 || task.elements.some(element => this.elements.get(element)?.inView !== false);
+    }
+
+    // Start or stop a job to match the tab, its elements and its owner's wishes
+    refresh(task) {
+        if (task.cancelled) return;
+        if (task.orphaned) {
+            task.cancel();
+            return;
+        }
+
+        const shouldRun = task.enabled && !document.hidden && this.inView(task);
+        if (shouldRun !== task.running) {
+            task.running = shouldRun;
+            (shouldRun ? task.resume : task.suspend)?.();
+        }
+        this.schedule();
+    }
+
+    handleIntersections(entries) {
+        const affected = new Set();
+        entries.forEach(entry => {
+            const record = this.elements.get(entry.target);
+            if (!record) return;
+            record.inView = entry.isIntersecting;
+            record.tasks.forEach(task => affected.add(task));
+        });
+        affected.forEach(task => this.refresh(task));
+    }
+
+    // Arm the one timer for whichever running job is due first
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        let next = Infinity;
+        this.tasks.forEach(task => {
+            if (task.running && task.due != null) {
+                next = Math.min(next, task.due);
+            }
+        });
+        if (next !== Infinity) {
+            this.timer = setTimeout(this.tick, Math.max(0, next - performance.now()));
+        }
+    }
+
+    tick() {
+        this.timer = null;
+        const now = performance.now();
+        [...this.tasks].forEach(task => {
+            if (task.orphaned) {
+                task.cancel();
+            } else if (task.running && task.due != null && task.due <= now) {
+                task.run();
+            }
+        });
+        this.schedule();
+    }
+
+    destroy() {
+        [...this.tasks].forEach(task => task.cancel());
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.observer?.disconnect();
+        this.observer = null;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.started = false;
+    }
+}
+
+export const scheduler = new AnimationScheduler();
+
+export default scheduler;
@@ -1,4 +1,10 @@
 // Scroll Handler with Performance Optimizations
+// Publishes scroll:section-enter as the visitor reads through the page's sections;
+// parallax and eased scrolling only run at the full motion level.
+import { bus } from './event-bus.js';
+
+// Sections count as entered this far below the top of the viewport, under the navbar
+const SECTION_OFFSET = 100;
 
 class ScrollHandler {
     constructor() {
@@ -12,6 +18,10 @@ class ScrollHandler {
         this.scrollProgress = document.querySelector('.scroll-progress-bar');
         this.parallaxImages = document.querySelectorAll('.parallax-image');
         this.scrollSections = document.querySelectorAll('.scroll-section');
+        this.sections = document.querySelectorAll('section[id]');
+        this.currentSection = null;
+        this.prefersReducedMotion = false;
+        this.subscriptions = null;
         
         // Throttle/Resize state
         this.resizeTimeout = null;
@@ -75,11 +85,9 @@ class ScrollHandler {
         this.lastParallaxUpdate = 0;
         this.parallaxUpdateInterval = 16; // Update interval in ms (roughly 60fps)
         this.debouncedParallax = this.debounce(this.updateParallax, this.parallaxUpdateInterval);
-        
-        // Initialize
-        this.init();
     }
-    
+
+    // Listeners are attached by the kernel, not on import
     init() {
         // Add passive scroll listener
         window.addEventListener('scroll', this.onScroll, { passive: true });
@@ -87,29 +95,30 @@ class ScrollHandler {
         // Add throttled resize listener with passive option
         window.addEventListener('resize', this.throttledResize, { passive: true });
         
-        // Add smooth scroll polyfill for browsers that don't support it
-        if (!this.supportsNativeSmoothScroll) {
-            // Bind the handler to maintain correct context
-            this.smoothScrollHandler = this.smoothScrollHandler.bind(this);
-            document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-                anchor.addEventListener('click', this.smoothScrollHandler);
-            });
-        }
+        // Follow the site's motion level
+        this.subscriptions = new AbortController();
+        bus.on('motion:preference-change', ({ reduced }) => this.setReducedMotion(reduced), {
+            signal: this.subscriptions.signal,
+            replay: true
+        });
         
         // Initial measurements
         this.handleResize();
-        
-        // Check if reduced motion is preferred
-        this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-        
-        // Store the media query handler for cleanup
-        this.reducedMotionHandler = (e) => {
-            this.prefersReducedMotion = e.matches;
-        };
-        
-        // Listen for prefers-reduced-motion changes with stored handler
-        window.matchMedia('(prefers-reduced-motion: reduce)')
-            .addEventListener('change', this.reducedMotionHandler);
+    }
+    
+    setReducedMotion(reduced) {
+        this.prefersReducedMotion = reduced;
+        if (!reduced) {
+            this.lastParallaxUpdate = 0;
+            this.updateParallax();
+            return;
+        }
+
+        // Settle parallax images where they would be without it
+        this.parallaxImages.forEach(image => {
+            this.pendingStyles.delete(image);
+            image.style.transform = '';
+        });
     }
     
     // Throttle utility function
@@ -141,8 +150,17 @@ class ScrollHandler {
         
         // Update scroll progress
         this.updateScrollProgress();
+        this.updateCurrentSection();
     }
-    
+
+    // Pick up the elements of a page the router swapped in and re-measure
+    refresh() {
+        this.parallaxImages = document.querySelectorAll('.parallax-image');
+        this.scrollSections = document.querySelectorAll('.scroll-section');
+        this.sections = document.querySelectorAll('section[id]');
+        this.handleResize();
+    }
+
     onScroll() {
         // Update scroll direction
         const st = window.scrollY;
@@ -151,14 +169,15 @@ class ScrollHandler {
         
         // Request animation frame if not already requested
         if (!this.ticking) {
-            requestAnimationFrame(() => {
+            // Holds the frame's id so destroy() can cancel it
+            this.ticking = requestAnimationFrame(() => {
                 this.updateScrollProgress();
+                this.updateCurrentSection();
                 if (!this.prefersReducedMotion) {
                     this.debouncedParallax();
                 }
                 this.ticking = false;
             });
-            this.ticking = true;
         }
     }
     
@@ -171,6 +190,25 @@ class ScrollHandler {
         }
     }
     
+    // Announce the section being read whenever it changes
+    updateCurrentSection() {
+        const scrollY = window.scrollY;
+        const section = [...this.sections].find(candidate => {
+            const sectionTop = candidate.offsetTop - SECTION_OFFSET;
+            return scrollY > sectionTop && scrollY <= sectionTop + candidate.offsetHeight;
+        }) || null;
+        if (section === this.currentSection) return;
+
+        const previous = this.currentSection?.id ?? null;
+        this.currentSection = section;
+        bus.emit('scroll:section-enter', {
+            id: section?.id ?? null,
+            element: section,
+            previous,
+            direction: this.scrollDirection
+        });
+    }
+    
     // Calculate parallax transform for an element
     calculateParallaxTransform(element, rect) {
         const speedY = parseFloat(element.dataset.speedY || element.dataset.speed || 0.5);
@@ -353,8 +391,7 @@ class ScrollHandler {
         });
 
         if (!this.styleUpdateScheduled) {
-            this.styleUpdateScheduled = true;
-            requestAnimationFrame(this.applyStyles);
+            this.styleUpdateScheduled = requestAnimationFrame(this.applyStyles);
         }
     }
 
@@ -376,19 +413,9 @@ class ScrollHandler {
         window.removeEventListener('scroll', this.onScroll);
         window.removeEventListener('resize', this.throttledResize);
         
-        // Remove reduced motion listener with stored handler
-        const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-        if (this.reducedMotionHandler) {
-            reducedMotionQuery.removeEventListener('change', this.reducedMotionHandler);
-            this.reducedMotionHandler = null;
-        }
-
-        // Remove smooth scroll listeners if polyfill was used
-        if (!this.supportsNativeSmoothScroll && this.smoothScrollHandler) {
-            document.querySelectorAll('a[href^="#"]').forEach(anchor => {
-                anchor.removeEventListener('click', this.smoothScrollHandler);
-            });
-        }
+        // Stop following the motion level
+        this.subscriptions?.abort();
+        this.subscriptions = null;
 
         // Clear all timeouts and animation frames
         if (this.resizeTimeout) {
@@ -396,9 +423,11 @@ class ScrollHandler {
         }
         if (this.styleUpdateScheduled) {
             cancelAnimationFrame(this.styleUpdateScheduled);
+            this.styleUpdateScheduled = false;
         }
         if (this.ticking) {
             cancelAnimationFrame(this.ticking);
+            this.ticking = false;
         }
 
         // Clear all caches and maps
@@ -410,6 +439,8 @@ class ScrollHandler {
         this.scrollProgress = null;
         this.parallaxImages = null;
         this.scrollSections = null;
+        this.sections = null;
+        this.currentSection = null;
 
         // Clear canvas and context references
         if (this.canvas) {
@@ -429,7 +460,6 @@ class ScrollHandler {
         this.clearRectCache = null;
         this.applyStyles = null;
         this.debouncedParallax = null;
-        this.smoothScrollHandler = null;
 
         // Clear all state
         this.lastScrollTop = null;
@@ -450,17 +480,6 @@ class ScrollHandler {
         this.parallaxState = null;
     }
 
-    // Add smooth scroll handler method for proper cleanup
-    smoothScrollHandler(e) {
-        e.preventDefault();
-        const targetId = this.getAttribute('href');
-        const targetElement = document.querySelector(targetId);
-        if (targetElement) {
-            const easing = this.dataset.scrollEasing || this.defaultEasing;
-            this.smoothScroll(targetElement, { easing });
-        }
-    }
-
     debounce(func, wait) {
         let timeout;
         return function executedFunction(...args) {
@@ -474,7 +493,7 @@ class ScrollHandler {
     }
 }
 
-// Initialize scroll handler
+// Shared instance; the kernel starts and stops it
 const scrollHandler = new ScrollHandler();
 
 // Export for use in other modules
@@ -0,0 +1,141 @@
+// Inverted index for site search, built by scripts/build-search-index.js and
+// queried in the browser. No DOM access here so Node can import it too.
+
+export const SEARCH_INDEX_VERSION = 1;
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+    'its', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with', 'you', 'your'
+]);
+
+// Extra weight for words in a document's title and headings
+export const FIELD_WEIGHTS = Object.freeze({ title: 5, heading: 3, body: 1 });
+
+// Prefix matches count for less than whole-word matches
+const PREFIX_MATCH_WEIGHT = 0.6;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+    return String(text)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(term => term.length > 1 && !STOP_WORDS.has(term));
+}
+
+/**
+ * Build a compact index from documents
+ * @param {Array<{url: string, title: string, headings?: string[], text: string}>} documents
+ * @param {Object} [options]
+ * @param {number} [options.excerptLength] - Characters of body text kept for result snippets
+ * @returns {{version: number, docs: Array<[string, string, string]>, terms: Array<[string, number[]]>}}
+ *     docs are [url, title, excerpt]; each term lists flat (docIndex, score) pairs
+ */
+export function buildIndex(documents, { excerptLength = 160 } = {}) {
+    const postings = new Map();
+
+    documents.forEach((doc, docIndex) => {
+        const scores = new Map();
+        const add = (text, weight) => tokenize(text).forEach(term => {
+            scores.set(term, (scores.get(term) || 0) + weight);
+        });
+        add(doc.title, FIELD_WEIGHTS.title);
+        (doc.headings || []).forEach(heading => add(heading, FIELD_WEIGHTS.heading));
+        add(doc.text, FIELD_WEIGHTS.body);
+
+        scores.forEach((score, term) => {
+            if (!postings.has(term)) postings.set(term, []);
+            postings.get(term).push(docIndex, score);
+        });
+    });
+
+    const excerpt = text => {
+        const clean = text.replace(/\s+/g, ' ').trim();
+        return clean.length > excerptLength ? `${clean.slice(0, excerptLength).replace(/\s+\S*$/, '')}…` : clean;
+    };
+
+    return {
+        version: SEARCH_INDEX_VERSION,
+        docs: documents.map(doc => [doc.url, doc.title, excerpt(doc.text)]),
+        terms: [...postings.entries()].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    };
+}
+
+export class SearchIndex {
+    /**
+     * @param {Object} data - Output of buildIndex
+     */
+    constructor(data) {
+        if (data?.version !== SEARCH_INDEX_VERSION) {
+            throw new Error('Unsupported search index version');
+        }
+        this.docs = data.docs.map(([url, title, excerpt]) => ({ url, title, excerpt }));
+        this.terms = data.terms.map(([term]) => term);
+        this.postings = data.terms.map(([, pairs]) => pairs);
+    }
+
+    // Index of the first term >= prefix in the sorted term list
+    lowerBound(prefix) {
+        let low = 0;
+        let high = this.terms.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (this.terms[mid] < prefix) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    // Scores per document for one query term: whole-word hits plus weaker prefix hits
+    scoreTerm(queryTerm) {
+        const scores = new Map();
+        const docCount = this.docs.length;
+
+        for (let i = this.lowerBound(queryTerm); i < this.terms.length && this.terms[i].startsWith(queryTerm); i++) {
+            const pairs = this.postings[i];
+            // Rarer terms say more about a document (inverse document frequency)
+            const idf = Math.log(1 + docCount / (pairs.length / 2));
+            const weight = this.terms[i] === queryTerm ? 1 : PREFIX_MATCH_WEIGHT * (queryTerm.length / this.terms[i].length);
+            for (let p = 0; p < pairs.length; p += 2) {
+                const docIndex = pairs[p];
+                scores.set(docIndex, Math.max(scores.get(docIndex) || 0, pairs[p + 1] * idf * weight));
+            }
+        }
+        return scores;
+    }
+
+    /**
+     * Find documents matching a query
+     * Documents matching every term rank above those matching only some
+     * @param {string} query
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @returns {Array<{url: string, title: string, excerpt: string, score: number}>}
+     */
+    search(query, { limit = 10 } = {}) {
+        const queryTerms = [...new Set(tokenize(query))];
+        if (queryTerms.length === 0) return [];
+
+        const totals = new Map();
+        queryTerms.forEach(term => {
+            this.scoreTerm(term).forEach((score, docIndex) => {
+                const total = totals.get(docIndex) || { score: 0, matched: 0 };
+                total.score += score;
+                total.matched++;
+                totals.set(docIndex, total);
+            });
+        });
+
+        return [...totals.entries()]
+            .sort(([, a], [, b]) => b.matched - a.matched || b.score - a.score)
+            .slice(0, limit)
+            .map(([docIndex, { score }]) => ({ ...this.docs[docIndex], score }));
+    }
+}
+
+export default SearchIndex;
@@ -0,0 +1,209 @@
+// Shell-style tokenizer and argument parser for terminal input
+
+export class ShellParseError extends Error {
+    constructor(message, position) {
+        super(message);
+        this.name = 'ShellParseError';
+        this.position = position;
+    }
+}
+
+// Characters a backslash may escape inside double quotes (as in POSIX sh)
+const DOUBLE_QUOTE_ESCAPES = new Set(['"', '\\', '$', '`']);
+
+// Control and redirection operators, longest first so `&&` wins over `&`
+const OPERATORS = Object.freeze(['&&', '||', '>>', '|', ';', '>']);
+
+/**
+ * Split a command line into word and operator tokens
+ * Supports single quotes (literal), double quotes (with \" and \\ escapes),
+ * backslash escapes outside quotes and any amount of whitespace between words.
+ * Unquoted `|`, `;`, `&&`, `||`, `>` and `>>` become operator tokens.
+ * `quoted` is set when any part of a word was quoted or escaped, `quotedStart`
+ * when its first character was.
+ * @param {string} input - Raw command line
+ * @returns {{type: string, value: string, quoted: boolean, quotedStart: boolean}[]} Tokens in order
+ */
+export function tokenize(input) {
+    const tokens = [];
+    let current = null;
+    let quote = null;
+    let quoteStart = -1;
+
+    const startToken = () => {
+        if (!current) current = { type: 'word', value: '', quoted: false, quotedStart: false };
+    };
+
+    const append = (char, literal) => {
+        if (current.value === '') current.quotedStart = literal;
+        current.value += char;
+    };
+
+    const endToken = () => {
+        if (current) tokens.push(current);
+        current = null;
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quote === "'") {
+            if (char === "'") {
+                quote = null;
+            } else {
+                append(char, true);
+            }
+            continue;
+        }
+
+        if (quote === '"') {
+            if (char === '"') {
+                quote = null;
+            } else if (char === '\\' && DOUBLE_QUOTE_ESCAPES.has(input[i + 1])) {
+                append(input[++i], true);
+            } else {
+                append(char, true);
+            }
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => input.startsWith(op, i));
+
+        if (/\s/.test(char)) {
+            endToken();
+        } else if (operator) {
+            endToken();
+            tokens.push({ type: 'op', value: operator, quoted: false, quotedStart: false });
+            i += operator.length - 1;
+        } else if (char === "'" || char === '"') {
+            startToken();
+            current.quoted = true;
+            quote = char;
+            quoteStart = i;
+        } else if (char === '\\') {
+            startToken();
+            if (i + 1 < input.length) {
+                append(input[++i], true);
+                current.quoted = true;
+            }
+        } else {
+            startToken();
+            append(char, false);
+        }
+    }
+
+    if (quote) {
+        throw new ShellParseError(`syntax error: unterminated ${quote === '"' ? 'double' : 'single'} quote`, quoteStart);
+    }
+
+    endToken();
+    return tokens;
+}
+
+/**
+ * Separate option tokens from positional arguments
+ * `-abc` sets a, b and c; `--flag` sets flag; `--flag=value` stores the value;
+ * `--` ends option parsing. A token whose leading `-` was quoted or escaped
+ * (`"-n"`, `\-n`), a lone `-` and negative numbers such as `-3` are always
+ * positional; quoting only the value, as in `--msg="a b"`, still sets a flag.
+ * @param {{value: string, quotedStart: boolean}[]} tokens - Word tokens after the command name
+ * @returns {{argv: string[], flags: Object<string, (string|boolean)>}}
+ */
+export function parseArgs(tokens) {
+    const argv = [];
+    const flags = {};
+    let optionsEnded = false;
+
+    tokens.forEach(({ value, quotedStart }) => {
+        if (optionsEnded || quotedStart || value === '-' || !value.startsWith('-') || /^-\d+$/.test(value)) {
+            argv.push(value);
+        } else if (value === '--') {
+            optionsEnded = true;
+        } else if (value.startsWith('--')) {
+            const separator = value.indexOf('=');
+            if (separator === -1) {
+                flags[value.slice(2)] = true;
+            } else {
+                flags[value.slice(2, separator)] = value.slice(separator + 1);
+            }
+        } else {
+            value.slice(1).split('').forEach(flag => {
+                flags[flag] = true;
+            });
+        }
+    });
+
+    return { argv, flags };
+}
+
+// Build a command invocation from the word tokens of one pipeline stage
+function buildInvocation(tokens) {
+    const [command, ...rest] = tokens;
+    return {
+        name: command.value,
+        ...parseArgs(rest)
+    };
+}
+
+/**
+ * Parse a command line into a list of pipelines joined by `;`, `&&` or `||`
+ * Each pipeline is one or more commands joined by `|`, optionally ending in
+ * a `>` or `>>` redirection to a file.
+ * @param {string} input - Raw command line
+ * @returns {{connector: (string|null), commands: Object[], redirect: ({path: string, append: boolean}|null)}[]}
+ *     Empty for blank input
+ */
+export function parseScript(input) {
+    const tokens = tokenize(input);
+    const script = [];
+    let connector = null;
+    let commands = [];
+    let words = [];
+    let redirect = null;
+
+    const unexpected = (token) => new ShellParseError(`syntax error near unexpected token \`${token ? token.value : 'newline'}'`);
+
+    const endCommand = (token) => {
+        if (words.length === 0) throw unexpected(token);
+        commands.push(buildInvocation(words));
+        words = [];
+    };
+
+    const endPipeline = (token) => {
+        endCommand(token);
+        script.push({ connector, commands, redirect });
+        commands = [];
+        redirect = null;
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+
+        if (token.type === 'word') {
+            if (redirect) throw unexpected(token);
+            words.push(token);
+        } else if (token.value === '|') {
+            if (redirect) throw unexpected(token);
+            endCommand(token);
+        } else if (token.value === '>' || token.value === '>>') {
+            const target = tokens[i + 1];
+            if (redirect || !target || target.type !== 'word') throw unexpected(target);
+            redirect = { path: target.value, append: token.value === '>>' };
+            i++;
+        } else {
+            endPipeline(token);
+            connector = token.value;
+        }
+    }
+
+    // A trailing `;` is allowed, a trailing `|`, `&&` or `||` is not
+    if (words.length > 0 || commands.length > 0 || redirect) {
+        endPipeline(null);
+    } else if (connector && connector !== ';') {
+        throw unexpected(null);
+    }
+
+    return script;
+}
+
+export default parseScript;
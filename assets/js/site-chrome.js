@@ -0,0 +1,243 @@
+// Behaviour of the parts shared by every page: loading bar, navbar, mobile menu,
+// in-page anchor scrolling and touch feedback. Listeners are delegated or bound to
+// the persistent header, so they keep working across route changes.
+import { gsap } from 'gsap';
+import { ScrollTrigger } from 'gsap/ScrollTrigger';
+import { bus } from './event-bus.js';
+
+const TOUCH_TARGETS = 'button, .mobile-menu-links a, .social-link';
+
+export class SiteChrome {
+    /**
+     * @param {Object} [options]
+     * @param {import('./scroll-handler.js').default} [options.scrollHandler] - Smooth scrolling where the browser has none
+     */
+    constructor({ scrollHandler = null } = {}) {
+        this.scrollHandler = scrollHandler;
+        this.controller = null;
+        this.loadingBar = null;
+        this.mobileMenuBtn = null;
+        this.mobileMenu = null;
+        this.navbar = null;
+        this.navbarTrigger = null;
+        this.lastScroll = 0;
+        this.ticking = false;
+        this.scrollTimeout = null;
+        this.resizeTimeout = null;
+        this.motionLevel = 'full';
+
+        this.toggleMobileMenu = this.toggleMobileMenu.bind(this);
+    }
+
+    init() {
+        this.controller = new AbortController();
+        const { signal } = this.controller;
+
+        this.loadingBar = document.querySelector('.loading-bar');
+        this.mobileMenuBtn = document.querySelector('.mobile-menu-btn');
+        this.mobileMenu = document.querySelector('.mobile-menu');
+        this.navbar = document.querySelector('.navbar');
+
+        bus.on('motion:preference-change', ({ level }) => {
+            this.motionLevel = level;
+        }, { signal, replay: true });
+
+        this.initLoadingBar(signal);
+        this.initMobileMenu(signal);
+        this.initNavbar(signal);
+        this.initAnchors(signal);
+        this.initTouchFeedback(signal);
+
+        // Highlight the menu link of the section being read
+        bus.on('scroll:section-enter', ({ id, previous }) => {
+            this.setActiveLink(previous, false);
+            this.setActiveLink(id, true);
+        }, { signal, replay: true });
+        return this;
+    }
+
+    // Loading Animation
+    initLoadingBar(signal) {
+        if (!this.loadingBar) return;
+
+        const play = () => {
+            // The bar only sweeps across at the full motion level
+            if (this.motionLevel !== 'full') return;
+            gsap.to(this.loadingBar, {
+                scaleX: 1,
+                duration: 0.8,
+                ease: 'power2.out',
+                onComplete: () => {
+                    gsap.to(this.loadingBar, {
+                        scaleX: 0,
+                        transformOrigin: 'right',
+                        duration: 0.5,
+                        delay: 0.2
+                    });
+                }
+            });
+        };
+
+        if (document.readyState === 'complete') {
+            play();
+        } else {
+            window.addEventListener('load', play, { passive: true, once: true, signal });
+        }
+    }
+
+    // Mobile Menu Functionality
+    initMobileMenu(signal) {
+        if (!this.mobileMenuBtn || !this.mobileMenu) return;
+
+        this.mobileMenuBtn.addEventListener('click', this.toggleMobileMenu, { signal });
+
+        document.addEventListener('click', (e) => {
+            if (!this.mobileMenu.classList.contains('active')) return;
+
+            // Close mobile menu when clicking outside or on a link
+            const outside = !this.mobileMenu.contains(e.target) && !this.mobileMenuBtn.contains(e.target);
+            if (outside || e.target.closest('.mobile-menu-links a')) {
+                this.toggleMobileMenu();
+            }
+        }, { signal });
+
+        // Handle window resize
+        window.addEventListener('resize', () => {
+            clearTimeout(this.resizeTimeout);
+            this.resizeTimeout = setTimeout(() => {
+                if (window.innerWidth > 768 && this.mobileMenu.classList.contains('active')) {
+                    this.toggleMobileMenu();
+                }
+            }, 250);
+        }, { signal });
+    }
+
+    // Handle mobile menu toggle
+    toggleMobileMenu() {
+        this.mobileMenuBtn.classList.toggle('active');
+        this.mobileMenu.classList.toggle('active');
+        document.body.classList.toggle('menu-open');
+
+        // Add animation delays to menu items
+        const menuItems = document.querySelectorAll('.mobile-menu-links li');
+        menuItems.forEach((item, index) => {
+            item.style.setProperty('--item-index', index);
+        });
+    }
+
+    initNavbar(signal) {
+        if (!this.navbar) return;
+
+        // Throttle scroll event
+        window.addEventListener('scroll', () => {
+            if (!this.ticking) {
+                window.requestAnimationFrame(() => {
+                    this.handleScroll();
+                    this.ticking = false;
+                });
+                this.ticking = true;
+            }
+        }, { passive: true, signal });
+
+        // Dynamic navbar background on scroll
+        this.navbarTrigger = ScrollTrigger.create({
+            start: 'top -50',
+            onUpdate: (self) => {
+                const direction = self.direction === 1;
+                gsap.to(this.navbar, {
+                    backgroundColor: direction ? 'rgba(10, 10, 10, 0.98)' : 'rgba(10, 10, 10, 0.95)',
+                    boxShadow: direction ? '0 2px 10px rgba(0, 0, 0, 0.3)' : 'none',
+                    duration: this.motionLevel === 'off' ? 0 : 0.3
+                });
+            }
+        });
+    }
+
+    // Handle navbar visibility on scroll
+    handleScroll() {
+        if (!this.navbar) return;
+        clearTimeout(this.scrollTimeout);
+
+        const currentScroll = window.pageYOffset;
+
+        // Show/hide navbar based on scroll direction
+        if (currentScroll > this.lastScroll && currentScroll > 100) {
+            this.navbar.classList.add('hide');
+        } else {
+            this.navbar.classList.remove('hide');
+        }
+
+        this.lastScroll = currentScroll;
+
+        // Add scrolled class for styling
+        if (currentScroll > 50) {
+            this.navbar.classList.add('scrolled');
+        } else {
+            this.navbar.classList.remove('scrolled');
+        }
+
+        // Debounce scroll handling
+        this.scrollTimeout = setTimeout(() => {
+            this.navbar?.classList.remove('hide');
+        }, 150);
+    }
+
+    // Handle smooth scrolling for anchor links, delegated so swapped-in pages are covered
+    initAnchors(signal) {
+        document.addEventListener('click', (e) => {
+            const anchor = e.target.closest?.('a[href^="#"]');
+            if (!anchor) return;
+
+            e.preventDefault();
+            const target = document.getElementById(decodeURIComponent(anchor.getAttribute('href').slice(1)));
+            if (!target) return;
+
+            const scrollHandler = this.scrollHandler;
+            const smooth = this.motionLevel === 'full';
+            if (smooth && scrollHandler && !scrollHandler.supportsNativeSmoothScroll) {
+                const easing = anchor.dataset.scrollEasing || scrollHandler.defaultEasing;
+                scrollHandler.smoothScroll(target, { easing });
+            } else {
+                const headerOffset = 100;
+                const elementPosition = target.getBoundingClientRect().top;
+                const offsetPosition = elementPosition + window.pageYOffset - headerOffset;
+
+                window.scrollTo({
+                    top: offsetPosition,
+                    behavior: smooth ? 'smooth' : 'auto'
+                });
+            }
+        }, { signal });
+    }
+
+    // Handle touch events for better mobile interaction
+    initTouchFeedback(signal) {
+        if (!('ontouchstart' in window)) return;
+        document.documentElement.classList.add('touch-device');
+
+        document.addEventListener('touchstart', (e) => {
+            e.target.closest?.(TOUCH_TARGETS)?.classList.add('touch-active');
+        }, { passive: true, signal });
+
+        document.addEventListener('touchend', (e) => {
+            e.target.closest?.(TOUCH_TARGETS)?.classList.remove('touch-active');
+        }, { passive: true, signal });
+    }
+
+    setActiveLink(sectionId, active) {
+        if (!sectionId) return;
+        document.querySelector(`.mobile-menu-links a[href="#${sectionId}"]`)?.classList.toggle('active', active);
+    }
+
+    destroy() {
+        this.controller?.abort();
+        this.controller = null;
+        clearTimeout(this.scrollTimeout);
+        clearTimeout(this.resizeTimeout);
+        this.navbarTrigger?.kill();
+        this.navbarTrigger = null;
+        gsap.killTweensOf([this.loadingBar, this.navbar].filter(Boolean));
+    }
+}
+
+export default SiteChrome;
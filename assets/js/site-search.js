@@ -0,0 +1,286 @@
+// Site search over the prebuilt index: Ctrl+K overlay and the `search` terminal command
+// Rebuild the index after editing pages: node scripts/build-search-index.js
+import { SearchIndex } from './search-index.js';
+import { router } from './router.js';
+
+export const SEARCH_INDEX_URL = '/assets/data/search-index.json';
+
+let indexRequest = null;
+
+// Fetched on first use and shared by the overlay and the terminal
+export function loadSearchIndex(url = SEARCH_INDEX_URL) {
+    if (!indexRequest) {
+        indexRequest = fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load search index (${response.status})`);
+                }
+                return response.json();
+            })
+            .then(data => new SearchIndex(data));
+        indexRequest.catch(() => {
+            indexRequest = null;
+        });
+    }
+    return indexRequest;
+}
+
+export const searchCommand = Object.freeze({
+    name: 'search',
+    usage: 'search [-n count] <terms...>',
+    description: 'Search the whole site',
+    async run({ argv, flags, stdout, stderr }) {
+        const args = [...argv];
+        const limit = flags.n ? Number(args.shift()) : 5;
+        if (!Number.isInteger(limit) || limit < 1) {
+            stderr.write('search: invalid result count');
+            return 2;
+        }
+
+        const query = args.join(' ').trim();
+        if (!query) {
+            stderr.write('Usage: search [-n count] <terms...>');
+            return 2;
+        }
+
+        let index;
+        try {
+            index = await loadSearchIndex();
+        } catch (error) {
+            stderr.write(`search: ${error.message}`);
+            return 1;
+        }
+
+        const results = index.search(query, { limit });
+        if (results.length === 0) {
+            stderr.write(`search: no results for "${query}"`);
+            return 1;
+        }
+        results.forEach((result, index) => {
+            stdout.write(`${index + 1}. ${result.title}  ${result.url}`);
+            stdout.write(`   ${result.excerpt}`);
+        });
+        return 0;
+    }
+});
+
+// Wrap query terms found in text with <mark>, building nodes rather than HTML
+function highlight(text, query) {
+    const words = query.toLowerCase().split(/\s+/).filter(word => word.length > 1);
+    const fragment = document.createDocumentFragment();
+    if (words.length === 0) {
+        fragment.append(text);
+        return fragment;
+    }
+
+    const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`\\b(${escaped.join('|')})`, 'gi');
+    let last = 0;
+    for (const match of text.matchAll(pattern)) {
+        fragment.append(text.slice(last, match.index));
+        const mark = document.createElement('mark');
+        mark.textContent = match[0];
+        fragment.append(mark);
+        last = match.index + match[0].length;
+    }
+    fragment.append(text.slice(last));
+    return fragment;
+}
+
+export class SearchOverlay {
+    constructor({ limit = 8 } = {}) {
+        this.limit = limit;
+        this.results = [];
+        this.activeIndex = -1;
+        this.element = null;
+        this.previousFocus = null;
+
+        this.handleShortcut = this.handleShortcut.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleBackdropClick = this.handleBackdropClick.bind(this);
+    }
+
+    init() {
+        document.addEventListener('keydown', this.handleShortcut);
+    }
+
+    get isOpen() {
+        return !!this.element && !this.element.hidden;
+    }
+
+    // Ctrl+K / Cmd+K toggles the overlay. The terminal keeps Ctrl+K for kill-line
+    // while there is text after its caret and lets it through otherwise.
+    handleShortcut(e) {
+        if (e.defaultPrevented || !(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'k') return;
+        e.preventDefault();
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    build() {
+        const overlay = document.createElement('div');
+        overlay.className = 'search-overlay';
+        overlay.hidden = true;
+        overlay.innerHTML = `
+            <div class="search-dialog" role="dialog" aria-modal="true" aria-label="Search site">
+                <div class="search-field">
+                    <span class="terminal-prompt" aria-hidden="true">$ grep -r</span>
+                    <input type="search" class="search-input" placeholder="Search the site..."
+                        role="combobox" aria-expanded="false" aria-controls="search-results"
+                        aria-autocomplete="list" autocomplete="off" spellcheck="false">
+                </div>
+                <ul id="search-results" class="search-results" role="listbox" aria-label="Results"></ul>
+                <p class="search-hint"><kbd>↑</kbd><kbd>↓</kbd> to navigate, <kbd>Enter</kbd> to open, <kbd>Esc</kbd> to close</p>
+            </div>`;
+        document.body.appendChild(overlay);
+
+        this.element = overlay;
+        this.input = overlay.querySelector('.search-input');
+        this.list = overlay.querySelector('.search-results');
+
+        this.input.addEventListener('input', this.handleInput);
+        overlay.addEventListener('keydown', this.handleKeydown);
+        overlay.addEventListener('click', this.handleBackdropClick);
+    }
+
+    async open() {
+        if (!this.element) this.build();
+        this.previousFocus = document.activeElement;
+        this.element.hidden = false;
+        document.body.classList.add('search-open');
+        this.input.focus();
+        this.input.select();
+
+        try {
+            this.index = await loadSearchIndex();
+            this.update();
+        } catch (error) {
+            console.error('Search unavailable:', error);
+            this.renderMessage('Search is unavailable right now.');
+        }
+    }
+
+    close() {
+        if (!this.isOpen) return;
+        this.element.hidden = true;
+        document.body.classList.remove('search-open');
+        this.previousFocus?.focus?.();
+    }
+
+    handleInput() {
+        this.update();
+    }
+
+    update() {
+        if (!this.index) return;
+        const query = this.input.value.trim();
+        this.results = query ? this.index.search(query, { limit: this.limit }) : [];
+        this.activeIndex = this.results.length > 0 ? 0 : -1;
+
+        if (!query) {
+            this.renderMessage('');
+        } else if (this.results.length === 0) {
+            this.renderMessage(`No results for "${query}"`);
+        } else {
+            this.renderResults(query);
+        }
+    }
+
+    renderMessage(text) {
+        this.results = [];
+        this.activeIndex = -1;
+        this.list.replaceChildren();
+        if (text) {
+            const item = document.createElement('li');
+            item.className = 'search-empty';
+            item.textContent = text;
+            this.list.appendChild(item);
+        }
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    renderResults(query) {
+        const items = this.results.map((result, index) => {
+            const item = document.createElement('li');
+            item.id = `search-result-${index}`;
+            item.className = 'search-result';
+            item.setAttribute('role', 'option');
+
+            const link = document.createElement('a');
+            link.href = result.url;
+            link.tabIndex = -1;
+            const title = document.createElement('span');
+            title.className = 'search-result-title';
+            title.append(highlight(result.title, query));
+            const url = document.createElement('span');
+            url.className = 'search-result-url';
+            url.textContent = result.url;
+            const excerpt = document.createElement('span');
+            excerpt.className = 'search-result-excerpt';
+            excerpt.append(highlight(result.excerpt, query));
+
+            link.append(title, url, excerpt);
+            link.addEventListener('click', () => this.close());
+            item.appendChild(link);
+            return item;
+        });
+        this.list.replaceChildren(...items);
+        this.input.setAttribute('aria-expanded', 'true');
+        this.setActive(this.activeIndex);
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        [...this.list.children].forEach((item, i) => {
+            item.setAttribute('aria-selected', String(i === index));
+        });
+        const active = this.list.children[index];
+        if (active) {
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    handleKeydown(e) {
+        const count = this.results.length;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowDown' && count > 0) {
+            e.preventDefault();
+            this.setActive((this.activeIndex + 1) % count);
+        } else if (e.key === 'ArrowUp' && count > 0) {
+            e.preventDefault();
+            this.setActive((this.activeIndex - 1 + count) % count);
+        } else if (e.key === 'Enter' && this.activeIndex >= 0) {
+            e.preventDefault();
+            const { url } = this.results[this.activeIndex];
+            this.close();
+            router.navigate(url);
+        } else if (e.key === 'Tab') {
+            // Keep focus inside the dialog
+            e.preventDefault();
+            this.input.focus();
+        }
+    }
+
+    handleBackdropClick(e) {
+        if (e.target === this.element) {
+            this.close();
+        }
+    }
+
+    destroy() {
+        document.removeEventListener('keydown', this.handleShortcut);
+        this.element?.remove();
+        this.element = null;
+        document.body.classList.remove('search-open');
+    }
+}
+
+export default SearchOverlay;
@@ -1,5 +1,47 @@
 import Typewriter from 'typewriter-effect/dist/core';
-import anime from 'animejs/lib/anime.es.js';
+import anime from './anime.js';
+import { CommandRegistry } from './command-registry.js';
+import { VirtualFileSystem } from './vfs.js';
+import { parseScript } from './shell-parser.js';
+import { OutputStream } from './output-stream.js';
+import { textFilterCommands } from './text-filters.js';
+import { CommandHistory } from './command-history.js';
+import { editLine, insertText } from './line-editor.js';
+import { contactCommand } from './contact-command.js';
+import { searchCommand } from './site-search.js';
+import { motionCommand, movement } from './motion.js';
+import { loadProjects, mountProjects } from './projects.js';
+import { router } from './router.js';
+import { bus } from './event-bus.js';
+import { scheduler } from './scheduler.js';
+
+const FILESYSTEM_MANIFEST_URL = '/assets/data/filesystem.json';
+
+// Emacs-style bindings: C- is Ctrl, M- is Alt (Meta)
+const KEY_BINDINGS = Object.freeze({
+    'C-a': 'beginning-of-line',
+    'C-e': 'end-of-line',
+    'C-u': 'unix-line-discard',
+    'C-k': 'kill-line',
+    'C-w': 'unix-word-rubout',
+    'C-y': 'yank',
+    'C-l': 'clear-screen',
+    'C-c': 'abort-line',
+    'M-b': 'backward-word',
+    'M-f': 'forward-word',
+    'M-d': 'kill-word'
+});
+
+// Raised from readLine/prompt when the visitor presses Ctrl+C; commands can let it propagate
+export class InputCancelledError extends Error {
+    constructor() {
+        super('Input cancelled');
+        this.name = 'InputCancelledError';
+    }
+}
+
+// Shown in place of each character of a masked answer
+const MASK_CHARACTER = '•';
 
 // Pre-compute terminal lines for better performance
 const terminalLines = Object.freeze([
@@ -27,8 +69,18 @@ export class Terminal {
 
         // Initialize state
         this.initialized = false;
-        this.commandHistory = [];
+        this.mounted = false;
+        this.introPlayed = false;
+        this.savedHistory = [];
+        this.backgroundTask = null;
+        this.subscriptions = null;
+        this.motionLevel = 'full';
+        this.commandHistory = new CommandHistory();
         this.historyIndex = -1;
+        this.reverseSearch = null;
+        this.completion = null;
+        this.killBuffer = '';
+        this.pendingInput = null;
         this.elements = {
             container: null,
             input: null,
@@ -46,6 +98,10 @@ export class Terminal {
             this.context = this.canvas.getContext('2d', { alpha: false });
             this.cachedFont = null;
             this.pendingUpdates = new Set();
+
+            // Command registry is available before DOM init so page scripts can register early
+            this.registry = new CommandRegistry();
+            this.initializeCommands();
             
             // Create an optimized RAF callback
             this.rafCallback = () => {
@@ -54,14 +110,6 @@ export class Terminal {
                     this.pendingUpdates.clear();
                 }
             };
-
-            // Wait for DOM to be fully loaded before initialization
-            if (document.readyState === 'loading') {
-                document.addEventListener('DOMContentLoaded', () => this.init());
-            } else {
-                // If DOM is already loaded, initialize on next frame
-                requestAnimationFrame(() => this.init());
-            }
         } catch (error) {
             console.error('Terminal initialization failed:', error);
             this.handleInitializationError(error);
@@ -87,27 +135,48 @@ export class Terminal {
         return !!Terminal.#instance;
     }
 
+    // Started by the kernel; the page's markup is bound separately with mount()
     init() {
         if (this.initialized) {
             console.warn('Terminal already initialized');
-            return;
+            return this;
         }
 
         try {
-            // Check for terminal container first
-            const container = document.querySelector('.terminal-container');
-            if (!container) {
-                throw new Error('Terminal container not found in DOM');
-            }
+            this.initializeCanvas();
+
+            // Filesystem loads in the background; fs commands await it
+            this.fsReady = this.initializeFileSystem();
+
+            this.subscriptions = new AbortController();
+            const { signal } = this.subscriptions;
+            bus.on('route:change', () => this.syncLocation(), { signal });
+            bus.on('motion:preference-change', ({ level }) => this.setMotionLevel(level), { signal, replay: true });
+            this.initialized = true;
+        } catch (error) {
+            console.error('Terminal initialization failed:', error);
+            this.handleInitializationError(error);
+        }
+        return this;
+    }
+
+    /**
+     * Bind to the terminal markup of the current page, carrying over the output of earlier pages
+     * @returns {boolean} Whether the page has a terminal
+     */
+    mount() {
+        if (!this.initialized || this.mounted) return this.mounted;
+        if (!document.querySelector('.terminal-container')) return false;
 
-            // Initialize in sequence
+        try {
             this.initializeElements();
-            this.initializeCanvas();
-            this.initializeCommands();
             this.setupEventListeners();
-            
+            this.elements.history.append(...this.savedHistory.splice(0));
+            this.mounted = true;
+
             // Defer non-critical initializations using requestIdleCallback
             const initNonCritical = () => {
+                if (!this.mounted) return;
                 try {
                     this.updateFontSettings();
                     this.initTerminalBackground();
@@ -122,12 +191,48 @@ export class Terminal {
             } else {
                 setTimeout(initNonCritical, 0);
             }
-
-            this.initialized = true;
         } catch (error) {
             console.error('Terminal initialization failed:', error);
             this.handleInitializationError(error);
         }
+        return this.mounted;
+    }
+
+    // Release the page's terminal markup before the router swaps it out; state and output are kept
+    unmount() {
+        if (!this.mounted) return;
+
+        // A prompt can't outlive its input, so the command waiting on it is cancelled
+        if (this.pendingInput) {
+            this.finishPendingInput(new InputCancelledError());
+        }
+        if (this.reverseSearch) {
+            this.endReverseSearch();
+        }
+        this.completion = null;
+        this.historyIndex = -1;
+
+        this.refocusInput?.cancel();
+        this.stopTerminalBackground();
+        this.typewriters.forEach(typewriter => typewriter.stop());
+        this.typewriters.clear();
+        this.animations.forEach(animation => animation.pause());
+        this.animations.clear();
+
+        this.savedHistory = [...this.elements.history.childNodes];
+        this.elements = {
+            container: null,
+            input: null,
+            inputCursor: null,
+            history: null
+        };
+        this.mounted = false;
+    }
+
+    // The working directory follows the page when the visitor navigates without `cd`
+    async syncLocation() {
+        const vfs = await this.fsReady;
+        vfs?.syncWithLocation();
     }
 
     handleInitializationError(error) {
@@ -201,27 +306,71 @@ export class Terminal {
     }
 
     initializeCommands() {
-        this.commands = {
-            'help': () => this.showHelp(),
-            'clear': () => this.clearHistory(),
-            'about': () => this.navigateTo('/about.html'),
-            'projects': () => this.navigateTo('/projects.html'),
-            'contact': () => this.navigateTo('/contact.html'),
-            'ls': () => this.listSections(),
-            'whoami': () => this.showWhoami(),
-            'date': () => this.showDate(),
-            'echo': (args) => this.echo(args),
-            'skills': () => this.showSkills(),
-            'social': () => this.showSocial(),
-            'pwd': () => this.showCurrentPath(),
-            'cat': (args) => this.catFile(args),
-            'cd': (args) => this.changeDirectory(args)
-        };
+        const builtins = [
+            { name: 'help', usage: 'help [command]', description: 'Show this help message', complete: (word) => this.registry.complete(word), run: (ctx) => this.showHelp(ctx) },
+            { name: 'clear', aliases: ['cls'], description: 'Clear terminal history', run: () => this.clearHistory() },
+            { name: 'about', description: 'Go to About page', run: () => this.navigateTo('/about.html') },
+            { name: 'projects', description: 'Go to Projects page', run: () => this.navigateTo('/projects.html') },
+            { name: 'ls', usage: 'ls [path...]', description: 'List directory contents', complete: (word) => this.completePath(word), run: (ctx) => this.listSections(ctx) },
+            { name: 'whoami', description: 'Display user info', run: (ctx) => this.showWhoami(ctx) },
+            { name: 'date', description: 'Show current date/time', run: (ctx) => this.showDate(ctx) },
+            { name: 'echo', usage: 'echo <text>', description: 'Echo back your text', run: (ctx) => this.echo(ctx) },
+            { name: 'skills', description: 'List my technical skills', run: (ctx) => this.showSkills(ctx) },
+            { name: 'social', description: 'Show social media links', run: (ctx) => this.showSocial(ctx) },
+            { name: 'pwd', description: 'Print working directory', run: (ctx) => this.showCurrentPath(ctx) },
+            { name: 'cat', usage: 'cat [file...]', description: 'Read a file', complete: (word) => this.completePath(word), run: (ctx) => this.catFile(ctx) },
+            { name: 'cd', usage: 'cd [directory]', description: 'Change directory', complete: (word) => this.completePath(word, { directoriesOnly: true }), run: (ctx) => this.changeDirectory(ctx) },
+            { name: 'history', usage: 'history [-c] [count]', description: 'Show command history (!n and !! to rerun)', run: (ctx) => this.showCommandHistory(ctx) }
+        ];
+        [...builtins, contactCommand, searchCommand, motionCommand, ...textFilterCommands].forEach(spec => this.registry.register(spec));
+    }
+
+    /**
+     * Register a command with the terminal
+     * @param {Object} spec - See CommandRegistry#register
+     * @returns {Function} Unregister function
+     */
+    registerCommand(spec) {
+        return this.registry.register(spec);
+    }
+
+    unregisterCommand(name) {
+        return this.registry.unregister(name);
+    }
+
+    async initializeFileSystem() {
+        try {
+            const vfs = await VirtualFileSystem.load(FILESYSTEM_MANIFEST_URL);
+            vfs.syncWithLocation();
+            await this.mountProjects(vfs);
+            this.vfs = vfs;
+        } catch (error) {
+            console.error('Filesystem initialization failed:', error);
+            this.vfs = null;
+        }
+        return this.vfs;
+    }
+
+    // ~/projects/<slug> files come from the same catalog as the projects page
+    async mountProjects(vfs) {
+        try {
+            mountProjects(vfs, await loadProjects());
+        } catch (error) {
+            console.warn('Projects unavailable in the terminal:', error);
+        }
+    }
+
+    async getFileSystem() {
+        const vfs = await this.fsReady;
+        if (!vfs) {
+            throw new Error('Filesystem unavailable');
+        }
+        return vfs;
     }
 
     navigateTo(path) {
         try {
-            window.location.href = path;
+            router.navigate(path);
         } catch (error) {
             this.addToHistory(`Navigation failed: ${error.message}`, 'error');
         }
@@ -230,16 +379,23 @@ export class Terminal {
     setupEventListeners() {
         if (this.elements.input) {
             // Optimize input event handling
-            this.elements.input.addEventListener('input', () => {
-                this.pendingUpdates.add('cursor');
-                this.rafCallback();
+            this.elements.input.addEventListener('input', () => this.scheduleCursorUpdate());
+
+            // Caret can move without changing the value (arrows, clicks, selection)
+            ['keyup', 'click', 'select'].forEach(type => {
+                this.elements.input.addEventListener(type, () => this.scheduleCursorUpdate());
             });
 
             this.elements.input.addEventListener('keydown', (e) => this.handleKeydown(e));
             
-            // Optimize blur handling
-            const refocusInput = this.debounce(() => this.elements.input?.focus(), 10);
-            this.elements.input.addEventListener('blur', refocusInput);
+            // Take focus back only when it went nowhere, so other inputs (search, filters) stay usable
+            this.refocusInput = this.debounce(() => {
+                const active = document.activeElement;
+                if (!active || active === document.body) {
+                    this.elements.input?.focus();
+                }
+            }, 10);
+            this.elements.input.addEventListener('blur', this.refocusInput);
         }
 
         if (this.elements.container) {
@@ -317,9 +473,24 @@ export class Terminal {
         return debounced;
     }
 
+    // The background lines are decoration and only run at the full motion level
+    setMotionLevel(level) {
+        const wasFull = this.motionLevel === 'full';
+        this.motionLevel = level;
+        if (level !== 'full') {
+            this.stopTerminalBackground();
+            document.querySelectorAll('.terminal-bg .terminal-line').forEach(line => {
+                anime.remove(line);
+                line.remove();
+            });
+        } else if (!wasFull && this.mounted) {
+            this.initTerminalBackground();
+        }
+    }
+
     initTerminalBackground() {
         const terminal = document.querySelector('.terminal-bg');
-        if (!terminal) return;
+        if (!terminal || this.motionLevel !== 'full') return;
 
         // Use object pooling for better performance
         const linePool = new Set();
@@ -331,6 +502,7 @@ export class Terminal {
         });
 
         const createLine = () => {
+            if (this.motionLevel !== 'full') return;
             const line = lines.find(l => !l.isConnected) || lines[0];
             const startY = 100 + Math.random() * 20;
             const endY = -20 - Math.random() * 20;
@@ -340,6 +512,9 @@ export class Terminal {
             
             if (!terminal.contains(line)) {
                 terminal.appendChild(line);
+            } else {
+                // Every pooled line is in flight; the one reused starts over
+                anime.remove(line);
             }
 
             // Optimize animation
@@ -360,49 +535,54 @@ export class Terminal {
             });
         };
 
-        // Use requestAnimationFrame for smoother scheduling
-        const scheduleNextLine = () => {
-            requestAnimationFrame(() => {
-                createLine();
-                setTimeout(scheduleNextLine, 2000 + Math.random() * 1000);
-            });
-        };
-
-        // Initial lines
-        for (let i = 0; i < 5; i++) {
-            setTimeout(createLine, i * 500);
-        }
+        // A quick burst of initial lines, then one every few seconds; paused while the
+        // tab is hidden or the background is scrolled away, dropped with the page
+        this.stopTerminalBackground();
+        this.backgroundTask = scheduler.every(
+            terminal,
+            run => (run < 5 ? 500 : 2000 + Math.random() * 1000),
+            createLine,
+            { immediate: true }
+        );
+    }
 
-        scheduleNextLine();
+    stopTerminalBackground() {
+        this.backgroundTask?.cancel();
+        this.backgroundTask = null;
     }
 
     handleKeydown(e) {
         try {
-            if (e.key === 'Enter') {
+            if (this.pendingInput) {
+                this.handlePendingInputKey(e);
+            } else if (this.reverseSearch) {
+                this.handleReverseSearchKey(e);
+            } else if (e.ctrlKey && e.key.toLowerCase() === 'r') {
                 e.preventDefault();
-                const command = this.elements.input?.value.trim() || '';
-                if (command) {
-                    this.commandHistory.unshift(command);
-                    this.historyIndex = -1;
-                }
+                this.startReverseSearch();
+            } else if (this.handleKeyBinding(e)) {
+                e.preventDefault();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.historyIndex = -1;
                 this.executeCommand();
             } else if (e.key === 'ArrowUp') {
                 e.preventDefault();
                 if (this.historyIndex < this.commandHistory.length - 1) {
                     this.historyIndex++;
-                    this.elements.input.value = this.commandHistory[this.historyIndex];
-                    this.rafCallback();
+                    this.elements.input.value = this.commandHistory.fromEnd(this.historyIndex);
+                    this.scheduleCursorUpdate();
                 }
             } else if (e.key === 'ArrowDown') {
                 e.preventDefault();
                 if (this.historyIndex > -1) {
                     this.historyIndex--;
-                    this.elements.input.value = this.historyIndex === -1 ? '' : this.commandHistory[this.historyIndex];
-                    this.rafCallback();
+                    this.elements.input.value = this.historyIndex === -1 ? '' : this.commandHistory.fromEnd(this.historyIndex);
+                    this.scheduleCursorUpdate();
                 }
             } else if (e.key === 'Tab') {
                 e.preventDefault();
-                this.handleTabCompletion();
+                this.handleTabCompletion(e.shiftKey);
             }
         } catch (error) {
             console.error('Keydown handling failed:', error);
@@ -410,80 +590,629 @@ export class Terminal {
         }
     }
 
-    handleTabCompletion() {
-        const input = this.elements.input?.value.trim() || '';
-        const [partialCommand] = input.split(' ');
-        
-        const matches = Object.keys(this.commands).filter(cmd => 
-            cmd.startsWith(partialCommand.toLowerCase())
-        );
+    // Map a keydown event to a KEY_BINDINGS descriptor such as "C-a" or "M-f"
+    getKeyDescriptor(e) {
+        if (e.metaKey || e.ctrlKey === e.altKey) return null;
+        // Prefer the physical key so Alt+letter works on layouts that compose characters
+        const letter = /^Key([A-Z])$/.exec(e.code || '')?.[1].toLowerCase() ?? e.key.toLowerCase();
+        return `${e.ctrlKey ? 'C' : 'M'}-${letter}`;
+    }
 
-        if (matches.length === 1) {
-            this.elements.input.value = matches[0];
-        } else if (matches.length > 1) {
-            this.addToHistory('Possible commands:');
-            matches.forEach(match => this.addToHistory(`  ${match}`));
+    /**
+     * Run the line editing action bound to a key, if any
+     * @returns {boolean} Whether the key was handled
+     */
+    handleKeyBinding(e) {
+        const input = this.elements.input;
+        const action = KEY_BINDINGS[this.getKeyDescriptor(e)];
+        if (!input || !action) return false;
+
+        const value = input.value;
+        const caret = input.selectionStart ?? value.length;
+
+        if (action === 'abort-line') {
+            // Leave Ctrl+C as copy while text is selected
+            if (input.selectionEnd !== input.selectionStart) return false;
+            this.addToHistory(`${value}^C`);
+            input.value = '';
+            this.historyIndex = -1;
+            this.completion = null;
+        } else if (action === 'clear-screen') {
+            this.clearHistory();
+            return true;
+        } else if (action === 'kill-line' && caret === value.length) {
+            // Nothing to kill: let Ctrl+K reach the site search shortcut
+            return false;
+        } else {
+            const result = action === 'yank'
+                ? insertText({ value, caret }, this.killBuffer)
+                : editLine(action, { value, caret });
+            if (result.killed) {
+                this.killBuffer = result.killed;
+            }
+            input.value = result.value;
+            input.setSelectionRange?.(result.caret, result.caret);
         }
+
+        this.scheduleCursorUpdate();
+        return true;
     }
 
-    executeCommand() {
-        try {
-            const input = this.elements.input?.value.trim() || '';
-            if (!input) return;
+    getPromptElement() {
+        return this.elements.input?.parentElement?.querySelector('.terminal-prompt') || null;
+    }
 
-            this.addToHistory(input);
-            
-            const [command, ...args] = input.split(' ');
-            const cmd = this.commands[command.toLowerCase()];
-            
-            if (cmd) {
-                cmd(args);
-            } else {
-                this.addToHistory(`Command not found: ${command}`, 'error');
-                this.addToHistory('Type "help" for available commands');
+    /**
+     * Read one line from the visitor while a command is running
+     * @param {string} [question] - Printed above the input line
+     * @param {Object} [options]
+     * @param {boolean} [options.mask] - Hide the characters as they are typed
+     * @returns {Promise<string>} The entered line
+     * @throws {InputCancelledError} When the visitor presses Ctrl+C
+     */
+    readLine(question = '', { mask = false } = {}) {
+        return this.takeOverInput(question, { mask });
+    }
+
+    /**
+     * Ask the visitor a question while a command is running
+     * @param {string} question - Printed above the input line
+     * @param {Object} [options]
+     * @param {boolean} [options.mask] - Hide the answer as it is typed (passwords)
+     * @param {Function} [options.validate] - Called with the answer; may be async. Return
+     *     an error message (or false) to print it and ask again, anything else to accept
+     * @param {Array<string|{label: string, value: *}>} [options.choices] - Pick from a
+     *     list with the arrow keys (or number keys) instead of typing
+     * @returns {Promise<*>} The answer, trimmed unless masked, or the chosen value
+     * @throws {InputCancelledError} When the visitor presses Ctrl+C
+     */
+    async prompt(question, { mask = false, validate = null, choices = null } = {}) {
+        if (choices) {
+            return this.choose(question, choices);
+        }
+
+        for (;;) {
+            const line = await this.readLine(question, { mask });
+            const answer = mask ? line : line.trim();
+            const verdict = validate ? await validate(answer) : true;
+            if (verdict !== false && typeof verdict !== 'string') {
+                return answer;
+            }
+            this.addToHistory(verdict || 'Invalid answer', 'error');
+        }
+    }
+
+    /**
+     * Ask a yes/no question
+     * @param {string} question
+     * @param {boolean} [defaultAnswer] - Used when the visitor just presses Enter
+     * @returns {Promise<boolean>}
+     */
+    async confirm(question, defaultAnswer = false) {
+        const answer = await this.prompt(`${question} ${defaultAnswer ? '[Y/n]' : '[y/N]'}`, {
+            validate: value => /^(y|yes|n|no|)$/i.test(value) || 'Please answer yes or no'
+        });
+        return answer ? /^y/i.test(answer) : defaultAnswer;
+    }
+
+    choose(question, choices) {
+        const options = choices.map(choice => (
+            typeof choice === 'object' && choice !== null ? choice : { label: String(choice), value: choice }
+        ));
+        if (options.length === 0) {
+            return Promise.reject(new Error('No choices to select from'));
+        }
+        return this.takeOverInput(question, { options });
+    }
+
+    // Route keystrokes to a pending readLine/prompt until it is answered
+    takeOverInput(question, { mask = false, options = null }) {
+        if (this.pendingInput) {
+            return Promise.reject(new Error('Already waiting for input'));
+        }
+        // Nothing to type into once the visitor has navigated away from the terminal
+        if (!this.mounted) {
+            return Promise.reject(new InputCancelledError());
+        }
+        if (question) {
+            this.addToHistory(question);
+        }
+
+        const input = this.elements.input;
+        const prompt = this.getPromptElement();
+        const choices = options && {
+            options,
+            index: 0,
+            lines: options.map(() => this.addToHistory('', 'choice'))
+        };
+
+        return new Promise((resolve, reject) => {
+            this.pendingInput = {
+                resolve,
+                reject,
+                mask,
+                choices,
+                prompt,
+                promptText: prompt ? prompt.textContent : ''
+            };
+            if (prompt) {
+                prompt.textContent = '>';
+            }
+            if (input) {
+                input.value = '';
+                // Password fields render bullets and keep the value out of autofill
+                if (mask) input.type = 'password';
             }
+            if (choices) {
+                this.renderChoices();
+            }
+            this.scheduleCursorUpdate();
+        });
+    }
+
+    renderChoices() {
+        const { options, index, lines } = this.pendingInput.choices;
+        lines.forEach((line, i) => {
+            if (!line) return;
+            line.textContent = `${i === index ? '❯' : ' '} ${options[i].label}`;
+            line.classList.toggle('selected', i === index);
+        });
+    }
+
+    // While a command is reading input, Enter answers it and Ctrl+C cancels it
+    handlePendingInputKey(e) {
+        const input = this.elements.input;
+        const hasSelection = input.selectionEnd !== input.selectionStart;
+
+        if (this.getKeyDescriptor(e) === 'C-c' && !hasSelection) {
+            e.preventDefault();
+            this.finishPendingInput(new InputCancelledError());
+        } else if (this.pendingInput.choices) {
+            this.handleChoiceKey(e);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.finishPendingInput();
+        } else if (this.handleKeyBinding(e)) {
+            e.preventDefault();
+        } else if (['Tab', 'ArrowUp', 'ArrowDown'].includes(e.key)) {
+            // No completion or history recall inside answers
+            e.preventDefault();
+        }
+    }
+
+    handleChoiceKey(e) {
+        const choices = this.pendingInput.choices;
+        const count = choices.options.length;
+        const number = Number(e.key);
+
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            this.finishPendingInput();
+            return;
+        }
+        if (e.key === 'ArrowUp' || (e.key === 'Tab' && e.shiftKey)) {
+            choices.index = (choices.index - 1 + count) % count;
+        } else if (e.key === 'ArrowDown' || e.key === 'Tab') {
+            choices.index = (choices.index + 1) % count;
+        } else if (e.key === 'Home') {
+            choices.index = 0;
+        } else if (e.key === 'End') {
+            choices.index = count - 1;
+        } else if (Number.isInteger(number) && number >= 1 && number <= count) {
+            choices.index = number - 1;
+        }
+        // Nothing is typed while a list is showing
+        if (e.key.length === 1 || e.key.startsWith('Arrow') || ['Tab', 'Home', 'End'].includes(e.key)) {
+            e.preventDefault();
+        }
+        this.renderChoices();
+    }
+
+    finishPendingInput(error = null) {
+        const { resolve, reject, mask, choices, prompt, promptText } = this.pendingInput;
+        const input = this.elements.input;
+        const value = input.value;
+        this.pendingInput = null;
+
+        if (prompt) {
+            prompt.textContent = promptText;
+        }
+        if (mask) {
+            input.type = 'text';
+        }
+
+        let echo = mask ? MASK_CHARACTER.repeat(value.length) : value;
+        let answer = value;
+        if (choices) {
+            // Collapse the list into the chosen entry, like the input echo
+            choices.lines.forEach(line => line?.remove());
+            const selected = choices.options[choices.index];
+            echo = error ? '' : selected.label;
+            answer = selected.value;
+        }
+
+        this.addToHistory(`> ${echo}${error ? '^C' : ''}`);
+        input.value = '';
+        this.scheduleCursorUpdate();
+
+        if (error) {
+            reject(error);
+        } else {
+            resolve(answer);
+        }
+    }
+
+    startReverseSearch() {
+        const prompt = this.getPromptElement();
+        this.reverseSearch = {
+            query: '',
+            offset: 0,
+            failed: false,
+            originalValue: this.elements.input.value,
+            prompt,
+            promptText: prompt ? prompt.textContent : ''
+        };
+        this.updateReverseSearchPrompt();
+    }
+
+    // Keys while in Ctrl+R mode edit the query instead of the input line
+    handleReverseSearchKey(e) {
+        const search = this.reverseSearch;
+
+        if (e.ctrlKey && e.key.toLowerCase() === 'r') {
+            e.preventDefault();
+            // Ctrl+R again steps to the next older match
+            this.findReverseSearchMatch(search.offset + 1);
+        } else if (e.key === 'Escape' || (e.ctrlKey && e.key.toLowerCase() === 'g')) {
+            e.preventDefault();
+            this.elements.input.value = search.originalValue;
+            this.endReverseSearch();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.endReverseSearch();
+            this.historyIndex = -1;
+            this.executeCommand();
+        } else if (e.key === 'Backspace') {
+            e.preventDefault();
+            search.query = search.query.slice(0, -1);
+            this.findReverseSearchMatch(0);
+        } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            e.preventDefault();
+            search.query += e.key;
+            this.findReverseSearchMatch(search.offset);
+        } else if (!['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) {
+            // Any other key accepts the match and is handled normally
+            this.endReverseSearch();
+        }
+    }
+
+    findReverseSearchMatch(startOffset) {
+        const search = this.reverseSearch;
+        const match = search.query ? this.commandHistory.search(search.query, startOffset) : null;
+
+        search.failed = !!search.query && !match;
+        if (match) {
+            search.offset = match.offset;
+            this.elements.input.value = match.entry;
+        }
+        this.updateReverseSearchPrompt();
+    }
+
+    updateReverseSearchPrompt() {
+        const search = this.reverseSearch;
+        if (search.prompt) {
+            search.prompt.textContent = `(${search.failed ? 'failed ' : ''}reverse-i-search)'${search.query}':`;
+        }
+        this.scheduleCursorUpdate();
+    }
+
+    endReverseSearch() {
+        const search = this.reverseSearch;
+        if (search.prompt) {
+            search.prompt.textContent = search.promptText;
+        }
+        this.reverseSearch = null;
+        this.scheduleCursorUpdate();
+    }
+
+    /**
+     * Complete the word under the caret
+     * The first Tab fills the longest common prefix of all candidates; once
+     * no more can be filled, repeated Tabs cycle through them (Shift+Tab backwards)
+     */
+    handleTabCompletion(reverse = false) {
+        const input = this.elements.input;
+        if (!input) return;
+
+        const value = input.value;
+        const caret = input.selectionStart ?? value.length;
+        const cycle = this.completion;
+
+        // Still on the value we produced last time: advance through the candidates
+        if (cycle && cycle.value === value && cycle.caret === caret) {
+            const count = cycle.candidates.length;
+            cycle.index = (cycle.index + (reverse ? -1 : 1) + count) % count;
+            this.applyCompletion(cycle, cycle.candidates[cycle.index]);
+            return;
+        }
+
+        this.completion = null;
+        const context = this.getCompletionContext(value.slice(0, caret));
+        const candidates = this.getCompletionCandidates(context);
+        if (candidates.length === 0) return;
+
+        const state = {
+            before: value.slice(0, caret - context.word.length),
+            after: value.slice(caret),
+            candidates,
+            index: reverse ? candidates.length - 1 : 0
+        };
+
+        if (candidates.length === 1) {
+            const [match] = candidates;
+            // Directories stay open for further completion, everything else ends the word
+            this.applyCompletion(state, match.endsWith('/') ? match : `${match} `);
+            return;
+        }
+
+        const prefix = longestCommonPrefix(candidates);
+        if (prefix.length > context.word.length) {
+            this.applyCompletion(state, prefix);
+            return;
+        }
+
+        // Show the candidates once when cycling starts rather than on every Tab
+        this.addToHistory(candidates.join('  '));
+        this.completion = state;
+        this.applyCompletion(state, candidates[state.index]);
+    }
+
+    applyCompletion(state, text) {
+        const input = this.elements.input;
+        input.value = state.before + text + state.after;
+        const caret = state.before.length + text.length;
+        input.setSelectionRange?.(caret, caret);
+
+        state.value = input.value;
+        state.caret = caret;
+        this.scheduleCursorUpdate();
+    }
+
+    // Work out which word is being completed and what precedes it in the current pipeline stage
+    getCompletionContext(text) {
+        let segmentStart = 0;
+        let operator = null;
+        let quote = null;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if ('|;&>'.includes(char)) {
+                segmentStart = i + 1;
+                operator = char;
+            }
+        }
+
+        const words = text.slice(segmentStart).trimStart().split(/\s+/);
+        const word = words.pop();
+        return {
+            word,
+            preceding: words,
+            redirect: operator === '>' && words.length === 0
+        };
+    }
+
+    getCompletionCandidates({ word, preceding, redirect }) {
+        if (redirect) {
+            return this.completePath(word);
+        }
+        if (preceding.length === 0) {
+            return this.registry.complete(word);
+        }
+        if (word.startsWith('-')) {
+            return [];
+        }
+
+        const command = this.registry.get(preceding[0]);
+        if (!command || !command.complete) return [];
+
+        try {
+            return command.complete(word, { argv: preceding.slice(1) }, this) || [];
+        } catch (error) {
+            console.warn(`Completion for "${command.name}" failed:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Complete a path against the virtual filesystem
+     * Directories are suggested with a trailing slash so completion can continue into them
+     */
+    completePath(partial, { directoriesOnly = false } = {}) {
+        if (!this.vfs) return [];
+        if (partial === '~') return ['~/'];
+
+        const slash = partial.lastIndexOf('/');
+        const directory = partial.slice(0, slash + 1);
+        const base = partial.slice(slash + 1);
+
+        try {
+            return this.vfs.readDir(directory)
+                .filter(entry => entry.name.startsWith(base))
+                .filter(entry => !directoriesOnly || entry.type === 'dir')
+                .filter(entry => base.startsWith('.') || !entry.name.startsWith('.'))
+                .map(entry => `${directory}${entry.name}${entry.type === 'dir' ? '/' : ''}`);
+        } catch {
+            return [];
+        }
+    }
+
+    async executeCommand() {
+        try {
+            const rawInput = this.elements.input?.value.trim() || '';
+            if (!rawInput) return;
+
+            this.addToHistory(rawInput);
 
             if (this.elements.input) {
                 this.elements.input.value = '';
-                this.rafCallback();
+                this.scheduleCursorUpdate();
             }
+
+            // Expand !! and !n before recording, echoing the result like bash does
+            let input;
+            try {
+                const { line, expanded } = this.commandHistory.expand(rawInput);
+                input = line;
+                if (expanded) {
+                    this.addToHistory(input);
+                }
+            } catch (error) {
+                this.addToHistory(error.message, 'error');
+                return;
+            }
+            this.commandHistory.add(input);
+
+            let script;
+            try {
+                script = parseScript(input);
+            } catch (error) {
+                this.addToHistory(error.message, 'error');
+                return;
+            }
+
+            await this.runScript(script);
         } catch (error) {
             console.error('Command execution failed:', error);
             this.addToHistory('Failed to execute command', 'error');
         }
     }
 
+    /**
+     * Run parsed pipelines honoring `;`, `&&` and `||`
+     * @returns {Promise<number>} Exit status of the last pipeline that ran
+     */
+    async runScript(script) {
+        let status = 0;
+        for (const pipeline of script) {
+            if (pipeline.connector === '&&' && status !== 0) continue;
+            if (pipeline.connector === '||' && status === 0) continue;
+            status = await this.runPipeline(pipeline);
+        }
+        return status;
+    }
+
+    // Run commands joined by `|`, feeding each stage's stdout to the next stage's stdin
+    async runPipeline({ commands, redirect }) {
+        const terminalOut = new OutputStream(({ text, type }) => this.addToHistory(text, type));
+        let stdin = null;
+        let status = 0;
+        let stdout = null;
+
+        for (let i = 0; i < commands.length; i++) {
+            const isLast = i === commands.length - 1;
+            stdout = isLast && !redirect ? terminalOut : new OutputStream();
+            status = await this.runCommand(commands[i], stdin, stdout);
+            bus.emit('terminal:command', {
+                name: this.registry.get(commands[i].name)?.name ?? commands[i].name,
+                argv: commands[i].argv,
+                status
+            });
+            stdin = stdout.lines();
+        }
+
+        if (redirect) {
+            try {
+                const vfs = await this.getFileSystem();
+                vfs.writeFile(redirect.path, stdout.text(), { append: redirect.append });
+            } catch (error) {
+                this.addToHistory(`${redirect.path}: ${error.message}`, 'error');
+                return 1;
+            }
+        }
+        return status;
+    }
+
+    async runCommand({ name, argv, flags }, stdin, stdout) {
+        const cmd = this.registry.get(name);
+        if (!cmd) {
+            this.addToHistory(`Command not found: ${name}`, 'error');
+            const suggestions = this.registry.suggest(name);
+            if (suggestions.length > 0) {
+                this.addToHistory(`Did you mean: ${suggestions.join(', ')}?`);
+            }
+            this.addToHistory('Type "help" for available commands');
+            return 127;
+        }
+
+        // stderr always goes to the terminal; writing to it marks the command as failed
+        const stderr = new OutputStream(({ text, type }) => this.addToHistory(text, type || 'error'));
+
+        try {
+            const result = await cmd.run({ argv, flags, stdin, stdout, stderr }, this);
+            if (typeof result === 'number') return result;
+            return stderr.written > 0 ? 1 : 0;
+        } catch (error) {
+            if (error instanceof InputCancelledError) {
+                return 130;
+            }
+            console.error(`Command "${cmd.name}" failed:`, error);
+            stderr.write(`${cmd.name}: ${error.message}`);
+            return 1;
+        }
+    }
+
     addToHistory(text, type = '') {
         try {
-            if (!this.elements.history) return;
-            
-            const fragment = document.createDocumentFragment();
             const line = document.createElement('div');
             line.className = `terminal-history-line ${type}`;
             line.textContent = text;
-            
-            // Optimize animation setup
-            line.style.opacity = '0';
-            line.style.transform = 'translateX(-10px)';
+
+            // Output of a command that outlived its page shows up in the next page's terminal
+            if (!this.elements.history) {
+                if (!this.initialized) return null;
+                this.savedHistory.push(line);
+                return line;
+            }
+
+            const fragment = document.createDocumentFragment();
+
+            // Optimize animation setup; with motion off the line simply appears
+            const level = this.motionLevel;
+            if (level !== 'off') {
+                line.style.opacity = '0';
+                if (level === 'full') {
+                    line.style.transform = 'translateX(-10px)';
+                }
+            }
             fragment.appendChild(line);
             
             this.elements.history.appendChild(fragment);
 
             // Use optimized animation
             requestAnimationFrame(() => {
+                if (level === 'off') {
+                    line.scrollIntoView();
+                    return;
+                }
                 anime({
                     targets: line,
                     opacity: 1,
-                    translateX: 0,
+                    ...movement(level, { translateX: 0 }),
                     duration: 300,
                     easing: 'easeOutCubic',
                     complete: () => {
-                        line.scrollIntoView({ behavior: 'smooth' });
+                        line.scrollIntoView({ behavior: level === 'full' ? 'smooth' : 'auto' });
                     }
                 });
             });
+            return line;
         } catch (error) {
             console.error('History update failed:', error);
+            return null;
         }
     }
 
@@ -492,43 +1221,64 @@ export class Terminal {
             if (this.elements.history) {
                 this.elements.history.innerHTML = '';
             }
+            this.savedHistory = [];
         } catch (error) {
             console.error('History clear failed:', error);
         }
     }
 
-    showHelp() {
-        const commands = [
-            'Available commands:',
-            'help     - Show this help message',
-            'clear    - Clear terminal history',
-            'about    - Go to About page',
-            'projects - Go to Projects page',
-            'contact  - Go to Contact page',
-            'ls       - List all sections',
-            'whoami   - Display user info',
-            'date     - Show current date/time',
-            'echo     - Echo back your text',
-            'skills   - List my technical skills',
-            'social   - Show social media links',
-            'pwd      - Print working directory',
-            'cat      - Read a file',
-            'cd       - Change directory'
-        ];
-        commands.forEach(cmd => this.addToHistory(cmd));
+    showHelp({ argv, stdout, stderr }) {
+        const topic = argv[0];
+        if (topic) {
+            const command = this.registry.get(topic);
+            if (!command) {
+                stderr.write(`No help entry for: ${topic}`);
+                return;
+            }
+            stdout.write(`Usage: ${command.usage}`);
+            if (command.description) {
+                stdout.write(`  ${command.description}`);
+            }
+            if (command.aliases.length > 0) {
+                stdout.write(`  Aliases: ${command.aliases.join(', ')}`);
+            }
+            return;
+        }
+
+        // Pad names to the longest registered command so columns line up
+        const commands = this.registry.list();
+        const width = Math.max(...commands.map(command => command.name.length)) + 1;
+        stdout.write('Available commands:');
+        commands.forEach(command => {
+            stdout.write(`${command.name.padEnd(width)}- ${command.description}`);
+        });
     }
 
-    listSections() {
-        const sections = [
-            'about.html',
-            'projects.html',
-            'contact.html'
-        ];
-        this.addToHistory('Available sections:');
-        sections.forEach(section => this.addToHistory(`  ${section}`));
+    async listSections({ argv, stdout, stderr }) {
+        const vfs = await this.getFileSystem();
+        const paths = argv.length > 0 ? argv : [''];
+
+        paths.forEach((path, index) => {
+            try {
+                const node = vfs.lookup(path);
+                if (node.type === 'file') {
+                    stdout.write(path);
+                    return;
+                }
+                if (paths.length > 1) {
+                    if (index > 0) stdout.write('');
+                    stdout.write(`${path}:`);
+                }
+                vfs.readDir(path).forEach(entry => {
+                    stdout.write(`  ${entry.name}${entry.type === 'dir' ? '/' : ''}`);
+                });
+            } catch (error) {
+                stderr.write(`ls: ${error.message}`);
+            }
+        });
     }
 
-    showSkills() {
+    showSkills({ stdout }) {
         const skills = [
             '[SECURITY]',
             '  ├── Penetration Testing',
@@ -546,91 +1296,98 @@ export class Terminal {
             '  ├── OSCP',
             '  └── OSEP (In Progress)'
         ];
-        skills.forEach(skill => this.addToHistory(skill));
+        stdout.writeLines(skills);
     }
 
-    showSocial() {
+    showSocial({ stdout }) {
         const social = [
             'Social Links:',
             '  GitHub:   https://github.com/rileymxyz',
             '  LinkedIn: https://www.linkedin.com/in/riley-mcgowen',
             '  Twitter:  https://x.com/rileymxyz'
         ];
-        social.forEach(link => this.addToHistory(link));
+        stdout.writeLines(social);
     }
 
-    showCurrentPath() {
-        this.addToHistory('/home/riley/web-app' + window.location.pathname);
+    async showCurrentPath({ stdout }) {
+        const vfs = await this.getFileSystem();
+        stdout.write(vfs.cwd);
     }
 
-    catFile(args) {
-        if (!args || args.length === 0) {
-            this.addToHistory('Usage: cat <filename>', 'error');
+    async catFile({ argv, stdin, stdout, stderr }) {
+        // With no file arguments cat passes piped input through
+        if (argv.length === 0) {
+            if (stdin) {
+                stdout.writeLines(stdin);
+            } else {
+                stderr.write('Usage: cat <file...>');
+            }
             return;
         }
 
-        const filename = args[0];
-        const fileContents = {
-            'readme.md': [
-                '# Riley McGowen',
-                'IT Professional & Security Specialist',
-                '',
-                'Welcome to my portfolio website!',
-                'Type "help" to see available commands.'
-            ],
-            'skills.txt': [
-                'Technical Skills:',
-                '- Penetration Testing',
-                '- Network Security',
-                '- Python Development',
-                '- Cloud Security'
-            ]
-        };
+        const vfs = await this.getFileSystem();
+        argv.forEach(path => {
+            try {
+                stdout.write(vfs.readFile(path));
+            } catch (error) {
+                stderr.write(`cat: ${error.message}`);
+            }
+        });
+    }
 
-        if (fileContents[filename]) {
-            fileContents[filename].forEach(line => this.addToHistory(line));
-        } else {
-            this.addToHistory(`File not found: ${filename}`, 'error');
+    async changeDirectory({ argv, stderr }) {
+        try {
+            const vfs = await this.getFileSystem();
+            const previousPage = vfs.pageFor(vfs.cwd);
+            const target = vfs.chdir(argv.length > 0 ? argv[0] : '~');
+
+            // Directories backed by a page navigate there once the cwd is persisted
+            const page = vfs.pageFor(target);
+            if (page && page !== previousPage) {
+                this.navigateTo(page);
+            }
+        } catch (error) {
+            stderr.write(`cd: ${error.message}`);
         }
     }
 
-    changeDirectory(args) {
-        if (!args || args.length === 0) {
-            this.addToHistory('Usage: cd <directory>', 'error');
+    showCommandHistory({ argv, flags, stdout, stderr }) {
+        if (flags.c) {
+            this.commandHistory.clear();
             return;
         }
 
-        const dir = args[0];
-        if (dir === '/' || dir === '~') {
-            window.location.href = '/';
-        } else if (dir === 'about') {
-            this.navigateTo('/about.html');
-        } else if (dir === 'projects') {
-            this.navigateTo('/projects.html');
-        } else if (dir === 'contact') {
-            this.navigateTo('/contact.html');
-        } else {
-            this.addToHistory(`Directory not found: ${dir}`, 'error');
+        const count = argv.length > 0 ? Number(argv[0]) : this.commandHistory.length;
+        if (!Number.isInteger(count) || count < 0) {
+            stderr.write(`history: ${argv[0]}: numeric argument required`);
+            return;
         }
+
+        const { entries } = this.commandHistory;
+        const start = Math.max(0, entries.length - count);
+        const width = String(entries.length).length;
+        entries.slice(start).forEach((entry, index) => {
+            stdout.write(`  ${String(start + index + 1).padStart(width)}  ${entry}`);
+        });
     }
 
-    showWhoami() {
+    showWhoami({ stdout }) {
         const info = [
             'Riley McGowen',
             'IT Professional & Security Specialist',
             'Location: Seattle, WA',
             'Status: Available for Security Projects'
         ];
-        info.forEach(line => this.addToHistory(line));
+        stdout.writeLines(info);
     }
 
-    showDate() {
-        this.addToHistory(new Date().toLocaleString());
+    showDate({ stdout }) {
+        stdout.write(new Date().toLocaleString());
     }
 
-    echo(args) {
-        if (args && args.length > 0) {
-            this.addToHistory(args.join(' '));
+    echo({ argv, stdout }) {
+        if (argv.length > 0) {
+            stdout.write(argv.join(' '));
         }
     }
 
@@ -638,6 +1395,15 @@ export class Terminal {
         const typewriterElement = document.querySelector('.typing-text');
         if (!typewriterElement) return;
 
+        // Coming back to the page, or with motion turned down, shows the menu without typing it out
+        if (this.introPlayed || this.motionLevel !== 'full') {
+            this.introPlayed = true;
+            this.animateMenuReveal();
+            this.animateInputLineReveal();
+            return;
+        }
+        this.introPlayed = true;
+
         // Enhanced typewriter settings with cursor management
         const typewriterSettings = {
             delay: 75,
@@ -684,12 +1450,12 @@ export class Terminal {
             this.animations.get('menu').pause();
         }
 
-        // Create new animation
+        // Create new animation; with motion off it finishes on the first frame
         const animation = anime({
             targets: menu,
             opacity: [0, 1],
-            translateY: [10, 0],
-            duration: 800,
+            ...movement(this.motionLevel, { translateY: [10, 0] }),
+            duration: this.motionLevel === 'off' ? 0 : 800,
             easing: 'easeOutExpo',
             begin: () => {
                 menu.style.display = 'block';
@@ -709,12 +1475,12 @@ export class Terminal {
             this.animations.get('input').pause();
         }
 
-        // Create new animation
+        // Create new animation; with motion off it finishes on the first frame
         const animation = anime({
             targets: inputLine,
             opacity: [0, 1],
-            translateY: [5, 0],
-            duration: 600,
+            ...movement(this.motionLevel, { translateY: [5, 0] }),
+            duration: this.motionLevel === 'off' ? 0 : 600,
             easing: 'easeOutCubic',
             begin: () => {
                 inputLine.style.display = 'flex';
@@ -731,7 +1497,7 @@ export class Terminal {
             complete: () => {
                 if (this.elements.input) {
                     this.elements.input.focus();
-                    this.rafCallback();
+                    this.scheduleCursorUpdate();
                 }
             }
         });
@@ -739,12 +1505,21 @@ export class Terminal {
         this.animations.set('input', animation);
     }
 
+    scheduleCursorUpdate() {
+        this.pendingUpdates.add('cursor');
+        this.rafCallback();
+    }
+
     updateCursorPosition() {
         if (!this.elements.input || !this.elements.inputCursor) return;
         
-        // Cache DOM reads
-        const inputValue = this.elements.input.value;
-        const cursorPosition = this.getTextWidth(inputValue);
+        // Cache DOM reads; the block cursor sits at the caret, not the end of the text
+        const { value, selectionStart, selectionEnd, selectionDirection } = this.elements.input;
+        const caret = selectionDirection === 'backward' ? selectionStart : selectionEnd;
+        const beforeCaret = value.slice(0, caret ?? value.length);
+        const cursorPosition = this.getTextWidth(
+            this.pendingInput?.mask ? MASK_CHARACTER.repeat(beforeCaret.length) : beforeCaret
+        );
         
         // Batch DOM writes
         requestAnimationFrame(() => {
@@ -755,23 +1530,30 @@ export class Terminal {
         });
     }
 
+    destroy() {
+        this.unmount();
+        this.subscriptions?.abort();
+        this.subscriptions = null;
+        this.pendingUpdates.clear();
+        this.savedHistory = [];
+        this.initialized = false;
+
+        // The next getInstance() starts from scratch
+        Terminal.resetInstance();
+    }
+
     // Add static method to reset instance
     static resetInstance() {
         Terminal.#instance = null;
     }
 }
 
-// Cleanup on page unload
-window.addEventListener('beforeunload', () => {
-    const instance = Terminal.getInstance();
-    if (instance) {
-        // Cleanup resources
-        instance.typewriters.forEach(typewriter => typewriter.stop());
-        instance.animations.forEach(animation => animation.pause());
-        instance.pendingUpdates.clear();
-        
-        // Reset the instance using a static method
-        Terminal.resetInstance();
-    }
-}); 
-
+function longestCommonPrefix(strings) {
+    return strings.reduce((prefix, value) => {
+        let length = 0;
+        while (length < prefix.length && prefix[length] === value[length]) {
+            length++;
+        }
+        return prefix.slice(0, length);
+    });
+}
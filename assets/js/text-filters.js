@@ -0,0 +1,185 @@
+// Text filter commands (grep, head, tail, wc, sort, uniq) for terminal pipelines
+
+// Read lines from file arguments, falling back to piped stdin
+async function readInput(name, { argv, stdin, stderr }, terminal) {
+    if (argv.length === 0) {
+        return stdin || [];
+    }
+
+    const vfs = await terminal.getFileSystem();
+    const lines = [];
+    argv.forEach(path => {
+        try {
+            lines.push(...vfs.readFile(path).split('\n'));
+        } catch (error) {
+            stderr.write(`${name}: ${error.message}`);
+        }
+    });
+    return lines;
+}
+
+// Parse a line count from `-N`, `-n N` or `--lines=N`, returning the remaining args
+function takeCount(name, { argv, flags, stderr }, fallback = 10) {
+    const rest = [...argv];
+    let value = fallback;
+
+    if (rest[0] && /^-\d+$/.test(rest[0])) {
+        value = rest.shift().slice(1);
+    } else if (typeof flags.lines === 'string') {
+        value = flags.lines;
+    } else if (flags.n) {
+        value = rest.shift();
+    }
+
+    const count = Number(value);
+    if (!Number.isInteger(count) || count < 0) {
+        stderr.write(`${name}: invalid number of lines: ${value ?? ''}`);
+        return null;
+    }
+    return { count, argv: rest };
+}
+
+// Build a RegExp from a grep pattern, treating invalid regex as a literal string
+function compilePattern(pattern, ignoreCase) {
+    const regexFlags = ignoreCase ? 'i' : '';
+    try {
+        return new RegExp(pattern, regexFlags);
+    } catch {
+        return new RegExp(pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), regexFlags);
+    }
+}
+
+function completeFiles(word, ctx, terminal) {
+    return terminal.completePath(word);
+}
+
+export const textFilterCommands = Object.freeze([
+    {
+        name: 'grep',
+        usage: 'grep [-i] [-v] [-n] [-c] <pattern> [file...]',
+        description: 'Print lines matching a pattern',
+        // The first argument is the pattern, only complete file names after it
+        complete: (word, { argv }, terminal) => (argv.length > 0 ? terminal.completePath(word) : []),
+        run: async (ctx, terminal) => {
+            const [pattern, ...files] = ctx.argv;
+            if (pattern === undefined) {
+                ctx.stderr.write('Usage: grep [-i] [-v] [-n] [-c] <pattern> [file...]');
+                return 2;
+            }
+
+            const regex = compilePattern(pattern, ctx.flags.i);
+            const lines = await readInput('grep', { ...ctx, argv: files }, terminal);
+            const matches = [];
+            lines.forEach((line, index) => {
+                if (regex.test(line) !== !!ctx.flags.v) {
+                    matches.push(ctx.flags.n ? `${index + 1}:${line}` : line);
+                }
+            });
+
+            if (ctx.flags.c) {
+                ctx.stdout.write(String(matches.length));
+            } else {
+                ctx.stdout.writeLines(matches);
+            }
+            // Like grep, exit 1 when nothing matched so `&&` chains stop
+            return matches.length > 0 ? 0 : 1;
+        }
+    },
+    {
+        name: 'head',
+        usage: 'head [-n N | -N] [file...]',
+        description: 'Print the first lines of input',
+        complete: completeFiles,
+        run: async (ctx, terminal) => {
+            const parsed = takeCount('head', ctx);
+            if (!parsed) return 1;
+            const lines = await readInput('head', { ...ctx, argv: parsed.argv }, terminal);
+            ctx.stdout.writeLines(lines.slice(0, parsed.count));
+        }
+    },
+    {
+        name: 'tail',
+        usage: 'tail [-n N | -N] [file...]',
+        description: 'Print the last lines of input',
+        complete: completeFiles,
+        run: async (ctx, terminal) => {
+            const parsed = takeCount('tail', ctx);
+            if (!parsed) return 1;
+            const lines = await readInput('tail', { ...ctx, argv: parsed.argv }, terminal);
+            ctx.stdout.writeLines(parsed.count === 0 ? [] : lines.slice(-parsed.count));
+        }
+    },
+    {
+        name: 'wc',
+        usage: 'wc [-l] [-w] [-c] [file...]',
+        description: 'Count lines, words and characters',
+        complete: completeFiles,
+        run: async (ctx, terminal) => {
+            const lines = await readInput('wc', ctx, terminal);
+            const text = lines.join('\n');
+            const counts = {
+                l: lines.length,
+                w: text.split(/\s+/).filter(Boolean).length,
+                c: text.length + (lines.length > 0 ? 1 : 0)
+            };
+
+            const selected = ['l', 'w', 'c'].filter(flag => ctx.flags[flag]);
+            const columns = (selected.length > 0 ? selected : ['l', 'w', 'c'])
+                .map(flag => String(counts[flag]).padStart(7));
+            if (ctx.argv.length === 1) {
+                columns.push(` ${ctx.argv[0]}`);
+            }
+            ctx.stdout.write(columns.join(''));
+        }
+    },
+    {
+        name: 'sort',
+        usage: 'sort [-r] [-n] [-f] [-u] [file...]',
+        description: 'Sort lines of input',
+        complete: completeFiles,
+        run: async (ctx, terminal) => {
+            const { r: reverse, n: numeric, f: foldCase, u: unique } = ctx.flags;
+            const key = line => (foldCase ? line.toLowerCase() : line);
+            let lines = await readInput('sort', ctx, terminal);
+
+            lines = [...lines].sort((a, b) => {
+                if (numeric) {
+                    const difference = (parseFloat(a) || 0) - (parseFloat(b) || 0);
+                    if (difference !== 0) return difference;
+                }
+                return key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+            });
+            if (reverse) lines.reverse();
+            if (unique) lines = lines.filter((line, index) => index === 0 || key(line) !== key(lines[index - 1]));
+
+            ctx.stdout.writeLines(lines);
+        }
+    },
+    {
+        name: 'uniq',
+        usage: 'uniq [-c] [-d] [-i] [file...]',
+        description: 'Collapse adjacent duplicate lines',
+        complete: completeFiles,
+        run: async (ctx, terminal) => {
+            const key = line => (ctx.flags.i ? line.toLowerCase() : line);
+            const lines = await readInput('uniq', ctx, terminal);
+            const groups = [];
+            lines.forEach(line => {
+                const last = groups[groups.length - 1];
+                if (last && key(last.line) === key(line)) {
+                    last.count++;
+                } else {
+                    groups.push({ line, count: 1 });
+                }
+            });
+
+            groups
+                .filter(group => !ctx.flags.d || group.count > 1)
+                .forEach(group => {
+                    ctx.stdout.write(ctx.flags.c ? `${String(group.count).padStart(7)} ${group.line}` : group.line);
+                });
+        }
+    }
+]);
+
+export default textFilterCommands;
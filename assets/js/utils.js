@@ -1,6 +1,6 @@
 export const debounce = (func, wait) => {
     let timeout;
-    return function executedFunction(...args) {
+    const executedFunction = function(...args) {
         const later = () => {
             clearTimeout(timeout);
             func(...args);
@@ -8,6 +8,9 @@ export const debounce = (func, wait) => {
         clearTimeout(timeout);
         timeout = setTimeout(later, wait);
     };
+    // Drop a call that is still waiting
+    executedFunction.cancel = () => clearTimeout(timeout);
+    return executedFunction;
 };
 
 export const throttle = (func, limit) => {
@@ -1,2 +0,0 @@
-export { gsap } from 'https://cdn.skypack.dev/gsap';
-export { ScrollTrigger } from 'https://cdn.skypack.dev/gsap/ScrollTrigger'; 
\ No newline at end of file
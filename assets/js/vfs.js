@@ -0,0 +1,275 @@
+// In-memory virtual filesystem backing the terminal's cd, ls, pwd and cat
+
+export class VfsError extends Error {
+    constructor(code, path, message) {
+        super(message || `${path}: ${VfsError.messages[code] || code}`);
+        this.name = 'VfsError';
+        this.code = code;
+        this.path = path;
+    }
+
+    static messages = Object.freeze({
+        ENOENT: 'No such file or directory',
+        ENOTDIR: 'Not a directory',
+        EISDIR: 'Is a directory',
+        EINVAL: 'Invalid filesystem node'
+    });
+}
+
+export class VirtualFileSystem {
+    /**
+     * @param {Object} manifest - Parsed filesystem manifest
+     * @param {string} manifest.home - Absolute path used for `~`
+     * @param {Object} manifest.root - Root directory node
+     * @param {Object} [options]
+     * @param {string} [options.storageKey] - sessionStorage key for the persisted cwd
+     */
+    constructor(manifest, options = {}) {
+        if (!manifest || !manifest.root) {
+            throw new Error('Filesystem manifest requires a root directory');
+        }
+
+        this.root = VirtualFileSystem.normalizeNode(manifest.root, '/');
+        this.home = manifest.home || '/';
+        this.storageKey = options.storageKey || 'terminal-cwd';
+        this.cwd = this.home;
+    }
+
+    static async load(url, options = {}) {
+        const response = await fetch(url, { credentials: 'same-origin' });
+        if (!response.ok) {
+            throw new Error(`Failed to load filesystem manifest (${response.status})`);
+        }
+        return new VirtualFileSystem(await response.json(), options);
+    }
+
+    // Validate a manifest node and fill in defaults
+    static normalizeNode(node, path) {
+        if (!node || (node.type !== 'dir' && node.type !== 'file')) {
+            throw new VfsError('EINVAL', path);
+        }
+
+        if (node.type === 'file') {
+            const content = Array.isArray(node.content) ? node.content.join('\n') : String(node.content ?? '');
+            return { type: 'file', content };
+        }
+
+        const children = new Map();
+        Object.entries(node.children || {}).forEach(([name, child]) => {
+            children.set(name, VirtualFileSystem.normalizeNode(child, joinPath(path, name)));
+        });
+        return { type: 'dir', page: node.page || null, children };
+    }
+
+    // Resolve a user path (relative, absolute, ~, .., .) to a normalized absolute path
+    resolve(path = '') {
+        let input = String(path).trim();
+        if (input === '' || input === '~') {
+            return input === '' ? this.cwd : this.home;
+        }
+        if (input.startsWith('~/')) {
+            input = joinPath(this.home, input.slice(2));
+        } else if (!input.startsWith('/')) {
+            input = joinPath(this.cwd, input);
+        }
+
+        const parts = [];
+        input.split('/').forEach(segment => {
+            if (!segment || segment === '.') return;
+            if (segment === '..') {
+                parts.pop();
+            } else {
+                parts.push(segment);
+            }
+        });
+        return '/' + parts.join('/');
+    }
+
+    // Look up a node by path, returns null if missing
+    stat(path) {
+        const absolute = this.resolve(path);
+        let node = this.root;
+        for (const segment of absolute.split('/').filter(Boolean)) {
+            if (node.type !== 'dir') return null;
+            node = node.children.get(segment);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    // Like stat but throws a descriptive VfsError
+    lookup(path) {
+        const absolute = this.resolve(path);
+        let node = this.root;
+        for (const segment of absolute.split('/').filter(Boolean)) {
+            if (node.type !== 'dir') {
+                throw new VfsError('ENOTDIR', path);
+            }
+            node = node.children.get(segment);
+            if (!node) {
+                throw new VfsError('ENOENT', path);
+            }
+        }
+        return node;
+    }
+
+    readDir(path = '') {
+        const node = this.lookup(path);
+        if (node.type !== 'dir') {
+            throw new VfsError('ENOTDIR', path);
+        }
+        return Array.from(node.children.entries())
+            .map(([name, child]) => ({ name, type: child.type }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    readFile(path) {
+        const node = this.lookup(path);
+        if (node.type === 'dir') {
+            throw new VfsError('EISDIR', path);
+        }
+        return node.content;
+    }
+
+    // Create or overwrite a file; the parent directory must already exist
+    writeFile(path, content, { append = false } = {}) {
+        const absolute = this.resolve(path);
+        const name = absolute.split('/').pop();
+        const parent = this.lookup(absolute.slice(0, absolute.length - name.length) || '/');
+        if (!name || parent.type !== 'dir') {
+            throw new VfsError('ENOTDIR', path);
+        }
+
+        const existing = parent.children.get(name);
+        if (existing && existing.type === 'dir') {
+            throw new VfsError('EISDIR', path);
+        }
+
+        const text = String(content);
+        parent.children.set(name, {
+            type: 'file',
+            content: append && existing && existing.content ? `${existing.content}\n${text}` : text
+        });
+    }
+
+    chdir(path = '~') {
+        const absolute = this.resolve(path);
+        const node = this.lookup(path);
+        if (node.type !== 'dir') {
+            throw new VfsError('ENOTDIR', path);
+        }
+        this.cwd = absolute;
+        this.saveCwd();
+        return absolute;
+    }
+
+    /**
+     * Attach a node (or a manifest-shaped subtree) at an absolute path,
+     * creating intermediate directories as needed
+     */
+    mount(path, node) {
+        const absolute = this.resolve(path);
+        const segments = absolute.split('/').filter(Boolean);
+        const name = segments.pop();
+        if (!name) {
+            throw new VfsError('EINVAL', path, 'Cannot mount over the root directory');
+        }
+
+        let parent = this.root;
+        segments.forEach(segment => {
+            if (!parent.children.has(segment)) {
+                parent.children.set(segment, { type: 'dir', page: null, children: new Map() });
+            }
+            parent = parent.children.get(segment);
+            if (parent.type !== 'dir') {
+                throw new VfsError('ENOTDIR', path);
+            }
+        });
+
+        parent.children.set(name, VirtualFileSystem.normalizeNode(node, absolute));
+    }
+
+    // Nearest page URL for a directory, walking up through its parents
+    pageFor(path = '') {
+        let absolute = this.resolve(path);
+        while (true) {
+            const node = this.stat(absolute);
+            if (node && node.type === 'dir' && node.page) {
+                return node.page;
+            }
+            if (absolute === '/') return null;
+            absolute = this.resolve(joinPath(absolute, '..'));
+        }
+    }
+
+    // Find the directory whose page matches a location pathname
+    findPageDirectory(pathname) {
+        const target = normalizePagePath(pathname);
+        const search = (node, path) => {
+            if (node.type !== 'dir') return null;
+            if (node.page && normalizePagePath(node.page) === target) return path;
+            for (const [name, child] of node.children) {
+                const found = search(child, joinPath(path, name));
+                if (found) return found;
+            }
+            return null;
+        };
+        return search(this.root, '/');
+    }
+
+    /**
+     * Restore the persisted cwd if it still belongs to the current page,
+     * otherwise start in the directory that represents the page
+     */
+    syncWithLocation(pathname = window.location.pathname) {
+        const stored = this.restoreCwd();
+        const pagePath = normalizePagePath(pathname);
+        if (stored && this.stat(stored)?.type === 'dir' &&
+            normalizePagePath(this.pageFor(stored) || '') === pagePath) {
+            this.cwd = stored;
+        } else {
+            this.cwd = this.findPageDirectory(pathname) || this.home;
+        }
+        this.saveCwd();
+        return this.cwd;
+    }
+
+    // Display form of a path with the home directory collapsed to ~
+    displayPath(path = this.cwd) {
+        const absolute = this.resolve(path);
+        if (absolute === this.home) return '~';
+        if (absolute.startsWith(this.home + '/')) {
+            return '~' + absolute.slice(this.home.length);
+        }
+        return absolute;
+    }
+
+    saveCwd() {
+        try {
+            sessionStorage.setItem(this.storageKey, this.cwd);
+        } catch (error) {
+            console.warn('Failed to persist working directory:', error);
+        }
+    }
+
+    restoreCwd() {
+        try {
+            return sessionStorage.getItem(this.storageKey);
+        } catch (error) {
+            console.warn('Failed to restore working directory:', error);
+            return null;
+        }
+    }
+}
+
+function joinPath(base, name) {
+    return base.endsWith('/') ? base + name : `${base}/${name}`;
+}
+
+// Treat "/", "/index.html" and trailing slashes as the same page
+function normalizePagePath(pathname) {
+    const path = String(pathname || '/').replace(/index\.html$/, '').replace(/\/+$/, '');
+    return path || '/';
+}
+
+export default VirtualFileSystem;
@@ -0,0 +1,32 @@
+import { readFile, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { composePage } from './partials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const siteRoot = join(__dirname, '..');
+
+// Writes the shared partials into the source pages, so every page is complete on its own
+// and can be opened from any static server. Run it after editing anything in partials/
+// (vendor-modules.js rewrites partials/importmap.html, so after that too):
+//   node scripts/build-partials.js
+const PAGES = ['index.html', 'about.html', 'projects.html', 'contact.html'];
+
+async function buildPartials() {
+    for (const page of PAGES) {
+        const path = join(siteRoot, page);
+        const html = await readFile(path, 'utf8');
+        const output = await composePage(html, { markers: true });
+        if (output !== html) {
+            await writeFile(path, output);
+            console.log(`${page}: partials updated`);
+        }
+    }
+    console.log('Partials written into the pages');
+}
+
+buildPartials().catch(error => {
+    console.error('Error writing partials:', error);
+    process.exitCode = 1;
+});
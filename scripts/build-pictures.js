@@ -0,0 +1,75 @@
+import { readFile, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { renderPictureHtml } from '../assets/js/responsive-images.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const siteRoot = join(__dirname, '..');
+
+// Rewrites images marked with data-image into responsive <picture> elements, using the
+// manifest from resize-images.js. Run it after that script:
+//   node scripts/resize-images.js && node scripts/build-pictures.js
+// Author images as <img src="assets/images/x.png" data-image="x.png" alt="..." sizes="...">;
+// the key is the path under assets/images. Generated pictures keep data-image, so
+// running this again refreshes them in place.
+const PAGES = ['index.html', 'about.html', 'projects.html', 'contact.html'];
+const CONFIG_PATH = join(__dirname, 'images.config.json');
+
+const attribute = (attributes, name) => new RegExp(`\\s${name}\\s*=\\s*"([^"]*)"`, 'i').exec(attributes)?.[1];
+const hasAttribute = (attributes, name) => new RegExp(`\\s${name}(?=[\\s=>/]|$)`, 'i').test(attributes);
+const decode = value => value?.replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+
+// A previously generated <picture>, or a hand-written <img> carrying data-image
+const IMAGE_PATTERN = /^([ \t]*)(?:<picture\s+data-image="([^"]+)"[^>]*>[\s\S]*?(<img\b[^>]*>)[\s\S]*?<\/picture>|(<img\b[^>]*\sdata-image="([^"]+)"[^>]*>))/gm;
+
+function optionsFrom(img) {
+    const className = (decode(attribute(img, 'class')) || '')
+        .split(/\s+/)
+        .filter(name => name && !['blur-up', 'is-loaded', 'is-failed'].includes(name))
+        .join(' ');
+    return {
+        alt: decode(attribute(img, 'alt')) || '',
+        className,
+        sizes: decode(attribute(img, 'sizes')) || '100vw',
+        eager: hasAttribute(img, 'data-eager') || attribute(img, 'loading') === 'eager'
+    };
+}
+
+function rewritePage(html, manifest, page) {
+    let count = 0;
+    const output = html.replace(IMAGE_PATTERN, (match, indent, pictureKey, pictureImg, img, imgKey) => {
+        const path = pictureKey || imgKey;
+        const entry = manifest.images[path];
+        if (!entry) {
+            console.warn(`${page}: ${path} is not in the image manifest, left unchanged`);
+            return match;
+        }
+        count++;
+        return indent + renderPictureHtml(path, entry, optionsFrom(pictureImg || img), indent);
+    });
+    return { output, count };
+}
+
+async function buildPictures() {
+    const config = JSON.parse(await readFile(CONFIG_PATH, 'utf8'));
+    const manifest = JSON.parse(await readFile(join(siteRoot, config.manifest), 'utf8'));
+
+    for (const page of PAGES) {
+        const path = join(siteRoot, page);
+        const html = await readFile(path, 'utf8');
+        const { output, count } = rewritePage(html, manifest, page);
+        if (output !== html) {
+            await writeFile(path, output);
+        }
+        if (count > 0) {
+            console.log(`${page}: ${count} pictures`);
+        }
+    }
+    console.log('Picture markup updated');
+}
+
+buildPictures().catch(error => {
+    console.error('Error building pictures:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,150 @@
+import { readFile, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { buildIndex } from '../assets/js/search-index.js';
+import { normalizeCatalog, projectToText } from '../assets/js/projects.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const siteRoot = join(__dirname, '..');
+
+// Builds assets/data/search-index.json from the site's pages and project catalog:
+//   node scripts/build-search-index.js
+const PAGES = ['index.html', 'about.html', 'projects.html', 'contact.html'];
+const PROJECTS_DATA = 'assets/data/projects.json';
+const OUTPUT = 'assets/data/search-index.json';
+
+// Content inside these is chrome or code, not searchable text
+const SKIPPED_ELEMENTS = new Set(['script', 'style', 'noscript', 'template', 'svg', 'head', 'nav', 'footer', 'form', 'button', 'select']);
+// Terminal decoration around headings and in the hero
+const SKIPPED_CLASSES = ['terminal-container', 'terminal-header', 'command-line', 'terminal-marker', 'terminal-prompt', 'hero-disclaimer', 'scroll-indicator'];
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'section', 'article', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'pre', 'header', 'main', 'figcaption', 'br']);
+const SECTION_HEADINGS = new Set(['h1', 'h2', 'h3']);
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', mdash: '—', ndash: '–', hellip: '…' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    });
+}
+
+const attribute = (attributes, name) => new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i').exec(attributes)?.[1];
+
+/**
+ * Split a page into one document per h1-h3 section
+ * Each document links to the nearest preceding element id so results land on the section
+ */
+function extractDocuments(html, page) {
+    const pageTitle = decodeEntities(/<title>([^<]*)<\/title>/i.exec(html)?.[1] || page).trim();
+    const description = /<meta\s+name="description"\s+content="([^"]*)"/i.exec(html)?.[1] || '';
+    const documents = [];
+    // The page itself is a result too, described by its meta description
+    let current = { url: `/${page}`, title: pageTitle, headings: [], text: decodeEntities(description) };
+    let anchor = '';
+    let heading = null;
+    const skipped = [];
+
+    // Sections that are only a heading add nothing the next section lacks
+    const flush = () => {
+        if (current.text.trim()) {
+            documents.push(current);
+        }
+    };
+    const isSkipped = (name, attributes) => SKIPPED_ELEMENTS.has(name)
+        || /aria-hidden\s*=\s*"true"/i.test(attributes)
+        || (attribute(attributes, 'class') || '').split(/\s+/).some(className => SKIPPED_CLASSES.includes(className));
+
+    const tagPattern = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w-]*)([^>]*)>|([^<]+)/g;
+    for (const [, closing, rawName, attributes = '', text] of html.matchAll(tagPattern)) {
+        if (text !== undefined) {
+            if (skipped.length > 0) continue;
+            const content = decodeEntities(text);
+            if (heading) heading.text += content;
+            else current.text += content;
+            continue;
+        }
+        if (!rawName) continue;
+
+        const name = rawName.toLowerCase();
+        if (skipped.length > 0) {
+            // Track nesting of the element that started the skip
+            if (name === skipped[skipped.length - 1] && !VOID_ELEMENTS.has(name)) {
+                if (closing) skipped.pop();
+                else skipped.push(name);
+            }
+            continue;
+        }
+        if (closing) {
+            if (heading && name === heading.name) {
+                const title = heading.text.replace(/\s+/g, ' ').trim();
+                if (title) {
+                    current.title = current.title === pageTitle ? title : current.title;
+                    current.headings.push(title);
+                }
+                heading = null;
+            }
+            if (BLOCK_ELEMENTS.has(name)) current.text += '\n';
+            continue;
+        }
+
+        if (isSkipped(name, attributes)) {
+            if (!VOID_ELEMENTS.has(name) && !attributes.trim().endsWith('/')) skipped.push(name);
+            continue;
+        }
+
+        const id = attribute(attributes, 'id');
+        if (id) anchor = id;
+
+        if (SECTION_HEADINGS.has(name)) {
+            flush();
+            current = { url: `/${page}${anchor ? `#${anchor}` : ''}`, title: pageTitle, headings: [], text: '' };
+            heading = { name, text: '' };
+        }
+        if (name === 'img') {
+            current.text += ` ${attribute(attributes, 'alt') || ''} `;
+        }
+        if (BLOCK_ELEMENTS.has(name)) current.text += '\n';
+    }
+    flush();
+
+    return documents.map(doc => ({ ...doc, text: doc.text.replace(/\s+/g, ' ').trim() }));
+}
+
+async function buildSearchIndex() {
+    const documents = [];
+
+    for (const page of PAGES) {
+        const html = await readFile(join(siteRoot, page), 'utf8');
+        const pageDocuments = extractDocuments(html, page);
+        documents.push(...pageDocuments);
+        console.log(`${page}: ${pageDocuments.length} sections`);
+    }
+
+    // Project cards are rendered client-side, so index the catalog directly
+    const catalog = normalizeCatalog(JSON.parse(await readFile(join(siteRoot, PROJECTS_DATA), 'utf8')));
+    catalog.projects.forEach(project => {
+        documents.push({
+            url: `/projects.html#project-${project.slug}`,
+            title: project.title,
+            headings: project.tech,
+            text: projectToText(project).split('\n').slice(2).join('\n')
+        });
+    });
+    console.log(`${PROJECTS_DATA}: ${catalog.projects.length} projects`);
+
+    const index = buildIndex(documents);
+    const json = JSON.stringify(index);
+    await writeFile(join(siteRoot, OUTPUT), `${json}\n`);
+    console.log(`Wrote ${OUTPUT}: ${index.docs.length} documents, ${index.terms.length} terms, ${(json.length / 1024).toFixed(1)} KB`);
+}
+
+buildSearchIndex().catch(error => {
+    console.error('Error building search index:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,210 @@
+import { createHash } from 'crypto';
+import { readFile, writeFile, readdir, mkdir, rm, cp, stat } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, relative, extname, basename, posix } from 'path';
+import { composePage } from './partials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const siteRoot = join(__dirname, '..');
+
+// Builds a deployable copy of the site in dist/, which is what gets published:
+//   node scripts/build-site.js
+// - pages are composed from partials/
+// - each local stylesheet a page links is bundled (its @imports inlined) and minified
+// - stylesheets, page images, fonts and the JS module folder get content hashes in their names
+//   so they can be cached forever; data files keep fixed URLs since scripts fetch them by name
+const PAGES = ['index.html', 'about.html', 'projects.html', 'contact.html'];
+const OUTPUT_DIR = join(siteRoot, 'dist');
+// Copied as-is: fetched at runtime or referenced from data files
+const STATIC_DIRS = ['assets/data', 'assets/images', 'assets/fonts', 'assets/vendor'];
+const JS_DIR = 'assets/js';
+// Preloaded by the pages and loaded from stylesheets, so both must use the same hashed name
+const FONT_EXTENSIONS = ['.woff', '.woff2'];
+const HASH_LENGTH = 8;
+
+const hash = content => createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+
+// "assets/css/site.css" -> "assets/css/site.1a2b3c4d.css"
+const fingerprinted = (path, content) => {
+    const extension = extname(path);
+    return `${path.slice(0, -extension.length)}.${hash(content)}${extension}`;
+};
+
+const isLocal = url => !/^(?:[a-z]+:|\/\/|#)/i.test(url);
+// Site paths without the leading slash, e.g. "/assets/x.png" -> "assets/x.png"
+const sitePath = url => url.replace(/^\.?\//, '').split(/[?#]/)[0];
+
+async function listFiles(directory) {
+    const files = [];
+    for (const entry of await readdir(directory, { withFileTypes: true })) {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory()) files.push(...await listFiles(path));
+        else files.push(path);
+    }
+    return files.sort();
+}
+
+async function writeOutput(path, content) {
+    const target = join(OUTPUT_DIR, path);
+    await mkdir(dirname(target), { recursive: true });
+    await writeFile(target, content);
+}
+
+/**
+ * Remove comments and the whitespace CSS does not need. Strings are left alone, and
+ * spaces before ":" are kept since "a :hover" and "a:hover" select different things.
+ */
+function minifyCss(css) {
+    return css
+        .split(/("(?:\\.|[^"\\])*"|'(?:\\.|[^'\\])*')/)
+        .map((part, index) => {
+            if (index % 2 === 1) return part;
+            return part
+                .replace(/\/\*[\s\S]*?\*\//g, '')
+                .replace(/\s+/g, ' ')
+                .replace(/\s*([{};,>])\s*/g, '$1')
+                .replace(/:\s+/g, ':')
+                .replace(/;}/g, '}');
+        })
+        .join('')
+        .trim();
+}
+
+class SiteBuilder {
+    constructor() {
+        // Source path -> output path, so shared assets are only processed once
+        this.outputs = new Map();
+    }
+
+    // Copy a file under a hashed name
+    async fingerprintFile(path) {
+        if (!this.outputs.has(path)) {
+            const content = await readFile(join(siteRoot, path));
+            const output = fingerprinted(path, content);
+            await writeOutput(output, content);
+            this.outputs.set(path, output);
+        }
+        return this.outputs.get(path);
+    }
+
+    /**
+     * Inline @imports and point url()s at fingerprinted copies, relative to the bundle
+     * @param {string} path - Stylesheet path from the site root
+     * @param {string} bundleDir - Directory the bundle is written to
+     */
+    async inlineCss(path, bundleDir, seen = new Set()) {
+        if (seen.has(path)) return '';
+        seen.add(path);
+
+        const directory = posix.dirname(path);
+        let css = await readFile(join(siteRoot, path), 'utf8');
+
+        // Own url()s first, so the ones in inlined files are not rewritten a second time
+        const urlPattern = /(@import\s+)?url\(\s*["']?([^"')]+)["']?\s*\)/g;
+        const urls = await Promise.all([...css.matchAll(urlPattern)].map(async ([, isImport, url]) => {
+            if (isImport || !isLocal(url) || url.startsWith('data:')) return null;
+            const path = url.startsWith('/') ? sitePath(url) : posix.join(directory, sitePath(url));
+            const output = await this.fingerprintFile(path);
+            return posix.relative(bundleDir, output);
+        }));
+        let index = 0;
+        css = css.replace(urlPattern, match => {
+            const url = urls[index++];
+            return url ? `url("${url}")` : match;
+        });
+
+        const importPattern = /@import\s+(?:url\(\s*)?["']?([^"')\s]+)["']?\s*\)?\s*;/g;
+        const imports = await Promise.all([...css.matchAll(importPattern)].map(([, url]) => (
+            isLocal(url) ? this.inlineCss(posix.join(directory, url), bundleDir, seen) : null
+        )));
+        index = 0;
+        return css.replace(importPattern, match => imports[index++] ?? match);
+    }
+
+    async bundleCss(path) {
+        if (!this.outputs.has(path)) {
+            const css = minifyCss(await this.inlineCss(path, posix.dirname(path)));
+            const output = fingerprinted(path, css);
+            await writeOutput(output, css);
+            this.outputs.set(path, output);
+            console.log(`${path} -> ${output} (${(css.length / 1024).toFixed(1)} KB)`);
+        }
+        return this.outputs.get(path);
+    }
+
+    // The modules import each other by relative path, so the whole folder is hashed as one
+    async copyScripts() {
+        const files = await listFiles(join(siteRoot, JS_DIR));
+        const digest = createHash('sha256');
+        for (const file of files) {
+            digest.update(relative(siteRoot, file)).update(await readFile(file));
+        }
+        this.jsDir = `${JS_DIR}-${digest.digest('hex').slice(0, HASH_LENGTH)}`;
+        await cp(join(siteRoot, JS_DIR), join(OUTPUT_DIR, this.jsDir), { recursive: true });
+        console.log(`${JS_DIR}/ -> ${this.jsDir}/ (${files.length} files)`);
+    }
+
+    // Rewrite one src/href/srcset value to its output path
+    async rewriteUrl(url, attribute) {
+        if (!isLocal(url)) return url;
+        const path = sitePath(url);
+        const prefix = url.startsWith('/') ? '/' : '';
+
+        if (path.startsWith(`${JS_DIR}/`)) {
+            return prefix + this.jsDir + path.slice(JS_DIR.length);
+        }
+        if (extname(path) === '.css' && attribute === 'href') {
+            return prefix + await this.bundleCss(path);
+        }
+        const hashed = path.startsWith('assets/images/') || FONT_EXTENSIONS.includes(extname(path));
+        if (hashed && (await stat(join(siteRoot, path)).catch(() => null))?.isFile()) {
+            return prefix + await this.fingerprintFile(path);
+        }
+        return url;
+    }
+
+    async rewritePage(html) {
+        const attributePattern = /(\s)(src|href|srcset)="([^"]*)"/g;
+        const replacements = await Promise.all([...html.matchAll(attributePattern)].map(async ([, , attribute, value]) => {
+            if (attribute !== 'srcset') return this.rewriteUrl(value, attribute);
+            const candidates = await Promise.all(value.split(',').map(async candidate => {
+                const [url, ...descriptor] = candidate.trim().split(/\s+/);
+                return [await this.rewriteUrl(url, attribute), ...descriptor].join(' ');
+            }));
+            return candidates.join(', ');
+        }));
+
+        let index = 0;
+        html = html.replace(attributePattern, (match, space, attribute) => `${space}${attribute}="${replacements[index++]}"`);
+        // Inline module scripts import by path too
+        return html.replace(/(from\s+["'])(\.?\/?)assets\/js\//g, `$1$2${this.jsDir}/`);
+    }
+
+    async build() {
+        await rm(OUTPUT_DIR, { recursive: true, force: true });
+        await mkdir(OUTPUT_DIR, { recursive: true });
+
+        for (const directory of STATIC_DIRS) {
+            if (await stat(join(siteRoot, directory)).catch(() => null)) {
+                await cp(join(siteRoot, directory), join(OUTPUT_DIR, directory), { recursive: true });
+            }
+        }
+        await this.copyScripts();
+
+        for (const page of PAGES) {
+            const source = await readFile(join(siteRoot, page), 'utf8');
+            const html = await this.rewritePage(await composePage(source));
+            await writeOutput(page, html);
+            console.log(`${page}: ${(html.length / 1024).toFixed(1)} KB`);
+        }
+
+        const files = await listFiles(OUTPUT_DIR);
+        console.log(`Built ${basename(OUTPUT_DIR)}/: ${files.length} files`);
+    }
+}
+
+new SiteBuilder().build().catch(error => {
+    console.error('Error building site:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,204 @@
+import { createServer } from 'http';
+import { readFile, stat } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, extname, join, normalize } from 'path';
+import { normalizeContact, validateContact } from '../assets/js/contact-validation.js';
+import { HONEYPOT_FIELD, SubmissionLimiter, checkSubmissionTiming } from '../assets/js/contact-guard.js';
+import { PROOF_OF_WORK, verifyProofOfWork } from '../assets/js/proof-of-work.js';
+import { composePage } from './partials.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const sourceRoot = join(__dirname, '..');
+
+// Local stub for the contact endpoint that also serves the site, so the form
+// can be exercised end to end:  node scripts/contact-server.js
+// Enforces the same honeypot, timing, rate limit and proof-of-work rules as the form.
+//   PORT=8080                  listen port
+//   CONTACT_FAIL_RATE=0.5      fraction of valid submissions answered with a 503
+//   SITE_DIR=dist              serve the output of build-site.js instead of the sources
+const PORT = Number(process.env.PORT) || 8080;
+const FAIL_RATE = Number(process.env.CONTACT_FAIL_RATE) || 0;
+const siteRoot = process.env.SITE_DIR ? join(sourceRoot, process.env.SITE_DIR) : sourceRoot;
+const MAX_BODY_BYTES = 64 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+const messages = [];
+const limiter = new SubmissionLimiter();
+// Solved stamps already accepted, so a captured request cannot be replayed. The form
+// reuses its stamp when it retries, so the client that sent a message gets the same
+// answer again if the first response never reached it.
+const usedStamps = new Map();
+
+function rememberStamp(stamp, { client, id }) {
+    const now = Date.now();
+    usedStamps.forEach(({ seenAt }, key) => {
+        if (now - seenAt > PROOF_OF_WORK.maxAgeMs) usedStamps.delete(key);
+    });
+    usedStamps.set(stamp, { seenAt: now, client, id });
+}
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+async function readJsonBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw Object.assign(new Error('Payload too large'), { status: 413 });
+        }
+        chunks.push(chunk);
+    }
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+        body = null;
+    }
+    // null, arrays and bare values are valid JSON but not a submission
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw Object.assign(new Error('Invalid JSON body'), { status: 400 });
+    }
+    return body;
+}
+
+async function handleContact(req, res) {
+    if (!(req.headers['content-type'] || '').includes('application/json')) {
+        sendJson(res, 415, { ok: false, error: 'Expected application/json' });
+        return;
+    }
+
+    const body = await readJsonBody(req);
+    const data = normalizeContact(body);
+    const errors = validateContact(data);
+    if (Object.keys(errors).length > 0) {
+        sendJson(res, 422, { ok: false, error: 'Validation failed', errors });
+        return;
+    }
+
+    const rejection = checkSubmissionTiming({ honeypot: body[HONEYPOT_FIELD], startedAt: body.startedAt });
+    if (rejection === 'honeypot') {
+        // Pretend it worked so the bot moves on
+        console.log('Dropping honeypot submission from', data.email);
+        sendJson(res, 201, { ok: true, id: '0' });
+        return;
+    }
+    if (rejection) {
+        sendJson(res, 422, { ok: false, error: rejection === 'too-fast' ? 'Submitted too quickly' : 'Form expired, please reload' });
+        return;
+    }
+
+    const client = req.socket.remoteAddress;
+    const powError = await verifyProofOfWork(body.pow, data);
+    if (powError) {
+        sendJson(res, 403, { ok: false, error: powError });
+        return;
+    }
+
+    // A valid stamp covers this exact message, so a repeat from the same client is a retry
+    const accepted = usedStamps.get(body.pow.stamp);
+    if (accepted?.client === client) {
+        console.log(`Message #${accepted.id} retried, answering with its id again`);
+        sendJson(res, 201, { ok: true, id: accepted.id });
+        return;
+    }
+    if (accepted) {
+        sendJson(res, 403, { ok: false, error: 'Proof of work already used' });
+        return;
+    }
+
+    const waitMs = limiter.retryAfter(client);
+    if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        sendJson(res, 429, { ok: false, error: 'Too many messages, please try again later' }, { 'Retry-After': String(retryAfter) });
+        return;
+    }
+
+    if (Math.random() < FAIL_RATE) {
+        console.log('Simulating failure for submission from', data.email);
+        sendJson(res, 503, { ok: false, error: 'Service temporarily unavailable' }, { 'Retry-After': '1' });
+        return;
+    }
+
+    limiter.record(client);
+    const id = String(messages.length + 1);
+    rememberStamp(body.pow.stamp, { client, id });
+    messages.push({ id, receivedAt: new Date().toISOString(), ...data });
+    console.log(`Message #${id} from ${data.name} <${data.email}>:\n${data.message}\n`);
+    sendJson(res, 201, { ok: true, id });
+}
+
+async function serveStatic(req, res) {
+    const { pathname } = new URL(req.url, `http://${req.headers.host}`);
+    let decodedPath;
+    try {
+        decodedPath = decodeURIComponent(pathname);
+    } catch {
+        // Malformed escape such as %E0%A4%A
+        res.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request');
+        return;
+    }
+    const relativePath = normalize(decodedPath).replace(/^(\.\.[/\\])+/, '');
+    let filePath = join(siteRoot, relativePath);
+
+    if (!filePath.startsWith(siteRoot)) {
+        res.writeHead(403).end();
+        return;
+    }
+    if ((await stat(filePath).catch(() => null))?.isDirectory()) {
+        filePath = join(filePath, 'index.html');
+    }
+
+    try {
+        let content = await readFile(filePath);
+        // Refresh the source pages' partials so edits in partials/ show without running build-partials.js
+        if (siteRoot === sourceRoot && extname(filePath) === '.html') {
+            content = await composePage(content.toString('utf8'));
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[extname(filePath)] || 'application/octet-stream' });
+        res.end(content);
+    } catch {
+        res.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+    }
+}
+
+const server = createServer(async (req, res) => {
+    try {
+        if (req.url.startsWith('/api/contact')) {
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { ok: false, error: 'Method not allowed' }, { 'Allow': 'POST' });
+                return;
+            }
+            await handleContact(req, res);
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            await serveStatic(req, res);
+        } else {
+            res.writeHead(405).end();
+        }
+    } catch (error) {
+        console.error('Request failed:', error);
+        sendJson(res, error.status || 500, { ok: false, error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Contact stub server running at http://localhost:${PORT}`);
+});
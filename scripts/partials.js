@@ -0,0 +1,45 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Shared page pieces (head tags, navbar and mobile menu, footer) live in partials/ and
+// are pulled into the pages with a comment on a line of its own:
+//   <!-- include: header.html -->
+// build-partials.js writes each partial into the source pages between that comment and a
+// closing <!-- /include: header.html -->, so they work from any static server; running it
+// again refreshes them in place. build-site.js replaces the whole region for dist/.
+export const PARTIALS_DIR = join(__dirname, '..', 'partials');
+
+// An include comment, with the partial a previous run wrote after it, if any
+const INCLUDE_PATTERN = /^([ \t]*)<!--\s*include:\s*([\w.-]+)\s*-->[ \t]*(?:\n[\s\S]*?^[ \t]*<!--\s*\/include:\s*\2\s*-->[ \t]*)?$/gm;
+const MAX_DEPTH = 5;
+
+/**
+ * Replace include comments with the partials they name, indented to match
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {string} [options.directory] - Where partials are read from
+ * @param {boolean} [options.markers] - Keep the include comments around each partial so it can be refreshed later
+ * @returns {Promise<string>}
+ */
+export async function composePage(html, { directory = PARTIALS_DIR, markers = false } = {}, depth = 0) {
+    if (depth > MAX_DEPTH) {
+        throw new Error('Partials are nested too deeply (is one including itself?)');
+    }
+
+    const includes = [...html.matchAll(INCLUDE_PATTERN)];
+    const contents = await Promise.all(includes.map(async ([, indent, name]) => {
+        const partial = await readFile(join(directory, name), 'utf8').catch(error => {
+            throw new Error(`Missing partial "${name}": ${error.message}`);
+        });
+        const composed = await composePage(partial.replace(/\n$/, ''), { directory }, depth + 1);
+        const body = composed.split('\n').map(line => (line ? indent + line : line)).join('\n');
+        return markers ? `${indent}<!-- include: ${name} -->\n${body}\n${indent}<!-- /include: ${name} -->` : body;
+    }));
+
+    let index = 0;
+    return html.replace(INCLUDE_PATTERN, () => contents[index++]);
+}
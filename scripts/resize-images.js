@@ -1,26 +1,192 @@
 import sharp from 'sharp';
+import { createHash } from 'crypto';
+import { readFile, writeFile, readdir, mkdir, unlink, access } from 'fs/promises';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, relative, extname, posix } from 'path';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
+const siteRoot = join(__dirname, '..');
 
-async function resizeImage() {
-    const inputPath = join(__dirname, '../assets/images/oscp-badge.png');
-    const sizes = [200, 400];
+// Resizes every image under sourceDir into the widths and formats set in images.config.json,
+// then records the results in a manifest for the page markup:
+//   node scripts/resize-images.js [--force]
+// Images whose content and rules are unchanged since the last run are skipped unless --force is given.
+const CONFIG_PATH = join(__dirname, 'images.config.json');
+const SOURCE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+// Bump to rebuild everything when the output naming or encoding changes
+const PIPELINE_VERSION = 1;
 
+const ORIGINAL_FORMATS = { '.png': 'png', '.jpg': 'jpeg', '.jpeg': 'jpeg', '.webp': 'webp' };
+const FILE_EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg', png: 'png' };
+
+// Config keys are paths relative to sourceDir; * matches within a folder, ** across folders
+function globToRegExp(pattern) {
+    const source = pattern
+        .split('**')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+const matches = (patterns, path) => patterns.some(pattern => globToRegExp(pattern).test(path));
+
+async function exists(path) {
     try {
-        for (const size of sizes) {
-            const outputPath = join(__dirname, `../assets/images/oscp-badge-${size}.png`);
-            await sharp(inputPath)
-                .resize(size)
-                .toFile(outputPath);
-            console.log(`Generated ${size}px version`);
+        await access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+async function listImages(directory, skipDirectory) {
+    const images = [];
+    for (const entry of await readdir(directory, { withFileTypes: true })) {
+        const path = join(directory, entry.name);
+        if (entry.isDirectory()) {
+            if (path !== skipDirectory) images.push(...await listImages(path, skipDirectory));
+        } else if (SOURCE_EXTENSIONS.has(extname(entry.name).toLowerCase())) {
+            images.push(path);
+        }
+    }
+    return images;
+}
+
+// Later matching entries in config.images override earlier ones, all on top of the defaults
+function rulesFor(config, path) {
+    const rules = { ...config.defaults, options: { ...config.defaults.options } };
+    Object.entries(config.images || {}).forEach(([pattern, overrides]) => {
+        if (globToRegExp(pattern).test(path)) {
+            Object.assign(rules, overrides, { options: { ...rules.options, ...overrides.options } });
+        }
+    });
+    return rules;
+}
+
+/**
+ * Widths to generate for a source: the configured ones that do not upscale,
+ * or the source width alone when every configured width is larger
+ */
+function targetWidths(widths, sourceWidth) {
+    const fitting = [...new Set(widths)].filter(width => width <= sourceWidth).sort((a, b) => a - b);
+    return fitting.length > 0 ? fitting : [sourceWidth];
+}
+
+async function blurPlaceholder(input, width) {
+    const buffer = await sharp(input)
+        .rotate()
+        .resize(width)
+        .blur()
+        .webp({ quality: 40 })
+        .toBuffer();
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+async function processImage(input, path, rules, outputDir) {
+    const metadata = await sharp(input).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn, swapping width and height
+    const rotated = (metadata.orientation || 1) >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const extension = extname(path);
+    const baseName = path.slice(0, -extension.length);
+    const formats = [...new Set(rules.formats.map(format => (
+        format === 'original' ? ORIGINAL_FORMATS[extension.toLowerCase()] : format
+    )))];
+
+    const sources = {};
+    for (const format of formats) {
+        sources[format] = [];
+        for (const targetWidth of targetWidths(rules.widths, width)) {
+            const file = posix.join(outputDir, `${baseName}-${targetWidth}.${FILE_EXTENSIONS[format]}`);
+            await mkdir(dirname(join(siteRoot, file)), { recursive: true });
+            await sharp(input)
+                .rotate()
+                .resize(targetWidth)
+                .toFormat(format, rules.options[format] || {})
+                .toFile(join(siteRoot, file));
+            sources[format].push({ src: file, width: targetWidth, height: Math.round(targetWidth * height / width) });
         }
-        console.log('Image resizing complete!');
-    } catch (error) {
-        console.error('Error resizing images:', error);
     }
+
+    return {
+        width,
+        height,
+        hasAlpha: !!metadata.hasAlpha,
+        placeholder: await blurPlaceholder(input, rules.placeholderWidth),
+        sources
+    };
+}
+
+const outputFiles = entry => Object.values(entry?.sources || {}).flat().map(({ src }) => src);
+
+async function removeFiles(files) {
+    for (const file of files) {
+        await unlink(join(siteRoot, file)).catch(error => {
+            if (error.code !== 'ENOENT') throw error;
+        });
+    }
+}
+
+async function resizeImages({ force = false } = {}) {
+    const config = JSON.parse(await readFile(CONFIG_PATH, 'utf8'));
+    const sourceDir = join(siteRoot, config.sourceDir);
+    const outputDir = join(siteRoot, config.outputDir);
+    const manifestPath = join(siteRoot, config.manifest);
+
+    let previous = { images: {} };
+    if (await exists(manifestPath)) {
+        previous = JSON.parse(await readFile(manifestPath, 'utf8'));
+    }
+
+    const manifest = { version: PIPELINE_VERSION, sourceDir: config.sourceDir, images: {} };
+    let processed = 0;
+    let skipped = 0;
+
+    for (const file of await listImages(sourceDir, outputDir)) {
+        const path = relative(sourceDir, file).split('\\').join('/');
+        if (matches(config.exclude || [], path)) continue;
+
+        const rules = rulesFor(config, path);
+        const input = await readFile(file);
+        // Hash the rules too so a config change regenerates the image
+        const hash = createHash('sha256')
+            .update(input)
+            .update(JSON.stringify({ version: PIPELINE_VERSION, rules, outputDir: config.outputDir }))
+            .digest('hex');
+
+        const cached = previous.images?.[path];
+        const upToDate = !force && cached?.hash === hash
+            && (await Promise.all(outputFiles(cached).map(src => exists(join(siteRoot, src))))).every(Boolean);
+        if (upToDate) {
+            manifest.images[path] = cached;
+            skipped++;
+            continue;
+        }
+
+        const entry = { hash, ...await processImage(input, path, rules, config.outputDir) };
+        const kept = new Set(outputFiles(entry));
+        await removeFiles(outputFiles(cached).filter(src => !kept.has(src)));
+        manifest.images[path] = entry;
+        processed++;
+        console.log(`${path}: ${Object.entries(entry.sources).map(([format, list]) => `${format} ${list.map(s => s.width).join('/')}`).join(', ')}`);
+    }
+
+    // Drop output for images that were deleted or excluded
+    const removed = Object.keys(previous.images || {}).filter(path => !manifest.images[path]);
+    for (const path of removed) {
+        await removeFiles(outputFiles(previous.images[path]));
+        console.log(`${path}: removed`);
+    }
+
+    await mkdir(dirname(manifestPath), { recursive: true });
+    await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`Image processing complete: ${processed} processed, ${skipped} unchanged, ${removed.length} removed`);
 }
 
-resizeImage(); 
\ No newline at end of file
+resizeImages({ force: process.argv.includes('--force') }).catch(error => {
+    console.error('Error resizing images:', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,180 @@
+import { readFile, writeFile, mkdir, rm, access } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join, posix } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const siteRoot = join(__dirname, '..');
+
+// Copies the third-party modules the pages import into assets/vendor/ and writes the import
+// map that resolves their bare specifiers, along with the font stylesheets the pages link,
+// so the site runs from any static server offline:
+//   npm install --no-save gsap@3 typewriter-effect@2 hack-font@3 @fortawesome/fontawesome-free@6.5.1
+//   node scripts/vendor-modules.js [--modules path/to/node_modules]
+// The output is committed; node_modules is only needed to refresh it.
+const VENDOR_DIR = 'assets/vendor';
+const IMPORT_MAP_PARTIAL = 'partials/importmap.html';
+
+// ESM entries are copied along with every file they import; UMD builds are wrapped as ES modules
+const MODULES = [
+    { specifier: 'gsap', packageName: 'gsap', entry: 'index.js', format: 'esm' },
+    { specifier: 'gsap/ScrollTrigger', packageName: 'gsap', entry: 'ScrollTrigger.js', format: 'esm' },
+    { specifier: 'typewriter-effect/dist/core', packageName: 'typewriter-effect', entry: 'dist/core.js', format: 'umd' }
+];
+
+// Stylesheets are copied along with the fonts they load
+const STYLESHEETS = [
+    { packageName: 'hack-font', entry: 'build/web/hack.css' },
+    { packageName: '@fortawesome/fontawesome-free', entry: 'css/all.min.css' }
+];
+
+const LICENSE_FILES = ['LICENSE', 'LICENSE.md', 'LICENSE.txt'];
+
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// Relative specifiers in static imports and re-exports
+function relativeImports(source) {
+    const pattern = /(?:import|export)\s*(?:[\w*{}\s,$]*\s*from\s*)?["'](\.{1,2}\/[^"']+)["']/g;
+    return [...source.matchAll(pattern)].map(([, specifier]) => specifier);
+}
+
+/**
+ * Copy an ES module and everything it imports, keeping the package's layout
+ * @returns {Promise<string[]>} Files written, relative to the package's vendor folder
+ */
+async function copyModuleGraph(packageDir, outputDir, entry, copied = new Set()) {
+    if (copied.has(entry)) return [];
+    copied.add(entry);
+
+    const source = await readFile(join(packageDir, entry), 'utf8');
+    await mkdir(dirname(join(outputDir, entry)), { recursive: true });
+    await writeFile(join(outputDir, entry), source.replace(/\n\/\/# sourceMappingURL=.*$/m, ''));
+
+    const files = [entry];
+    for (const specifier of relativeImports(source)) {
+        const path = posix.join(posix.dirname(entry), specifier);
+        files.push(...await copyModuleGraph(packageDir, outputDir, path, copied));
+    }
+    return files;
+}
+
+// Relative url()s in a stylesheet, without their cache-busting queries
+function relativeUrls(css) {
+    const pattern = /url\(\s*["']?([^"')]+)["']?\s*\)/g;
+    return [...css.matchAll(pattern)]
+        .map(([, url]) => url.split(/[?#]/)[0])
+        .filter(url => !/^(?:[a-z]+:|\/)/i.test(url));
+}
+
+/**
+ * Copy a stylesheet and the files it loads, keeping their paths relative to it
+ * @returns {Promise<string[]>} Files written, relative to the package's vendor folder
+ */
+async function copyStylesheet(packageDir, outputDir, entry) {
+    const css = await readFile(join(packageDir, entry), 'utf8');
+    await mkdir(dirname(join(outputDir, entry)), { recursive: true });
+    await writeFile(join(outputDir, entry), css);
+
+    const files = [entry];
+    for (const url of new Set(relativeUrls(css))) {
+        const path = posix.join(posix.dirname(entry), url);
+        await mkdir(dirname(join(outputDir, path)), { recursive: true });
+        await writeFile(join(outputDir, path), await readFile(join(packageDir, path)));
+        files.push(path);
+    }
+    return files;
+}
+
+// UMD bundles assign module.exports when CommonJS looks available, so provide it locally
+async function wrapUmd(packageDir, outputDir, entry, { name, version }) {
+    const source = await readFile(join(packageDir, entry), 'utf8');
+    const wrapped = [
+        `// ${name} ${version}, UMD build wrapped as an ES module by scripts/vendor-modules.js`,
+        'const module = { exports: {} };',
+        'const exports = module.exports;',
+        source.replace(/\n\/\/# sourceMappingURL=.*$/m, '').trim(),
+        'export default module.exports.default || module.exports;',
+        ''
+    ].join('\n');
+    await mkdir(dirname(join(outputDir, entry)), { recursive: true });
+    await writeFile(join(outputDir, entry), wrapped);
+    return [entry];
+}
+
+async function copyLicense(packageDir, outputDir) {
+    for (const file of LICENSE_FILES) {
+        if (await exists(join(packageDir, file))) {
+            await writeFile(join(outputDir, file), await readFile(join(packageDir, file)));
+            return;
+        }
+    }
+}
+
+function importMapHtml(imports, packages) {
+    const versions = [...packages].map(([name, { version }]) => `${name} ${version}`).join(', ');
+    const json = JSON.stringify({ imports }, null, 4);
+    return [
+        `<!-- Generated by scripts/vendor-modules.js (${versions}); must come before any module script -->`,
+        '<script type="importmap">',
+        ...json.split('\n').map(line => `    ${line}`),
+        '</script>',
+        ''
+    ].join('\n');
+}
+
+async function readPackage(modulesDir, packageName) {
+    const packageDir = join(modulesDir, packageName);
+    if (!await exists(join(packageDir, 'package.json'))) {
+        throw new Error(`${packageName} is not installed in ${modulesDir}`);
+    }
+    const { name, version } = JSON.parse(await readFile(join(packageDir, 'package.json'), 'utf8'));
+    return { packageDir, name, version };
+}
+
+async function vendorModules() {
+    const flag = process.argv.indexOf('--modules');
+    const modulesDir = flag !== -1 ? process.argv[flag + 1] : join(siteRoot, 'node_modules');
+
+    await rm(join(siteRoot, VENDOR_DIR), { recursive: true, force: true });
+
+    const imports = {};
+    const packages = new Map();
+    for (const { specifier, packageName, entry, format } of MODULES) {
+        const { packageDir, name, version } = await readPackage(modulesDir, packageName);
+        const outputDir = join(siteRoot, VENDOR_DIR, packageName);
+
+        const files = format === 'umd'
+            ? await wrapUmd(packageDir, outputDir, entry, { name, version })
+            : await copyModuleGraph(packageDir, outputDir, entry);
+        if (!packages.has(packageName)) {
+            await copyLicense(packageDir, outputDir);
+            packages.set(packageName, { version });
+        }
+
+        imports[specifier] = `/${VENDOR_DIR}/${packageName}/${entry}`;
+        console.log(`${specifier} -> ${imports[specifier]} (${files.length} files)`);
+    }
+
+    await writeFile(join(siteRoot, IMPORT_MAP_PARTIAL), importMapHtml(imports, packages));
+    console.log(`Wrote ${IMPORT_MAP_PARTIAL}`);
+
+    for (const { packageName, entry } of STYLESHEETS) {
+        const { packageDir, version } = await readPackage(modulesDir, packageName);
+        const outputDir = join(siteRoot, VENDOR_DIR, packageName);
+        const files = await copyStylesheet(packageDir, outputDir, entry);
+        await copyLicense(packageDir, outputDir);
+        console.log(`${packageName} ${version} -> /${VENDOR_DIR}/${packageName}/${entry} (${files.length} files)`);
+    }
+}
+
+vendorModules().catch(error => {
+    console.error('Error vendoring modules:', error);
+    process.exitCode = 1;
+});